@@ -0,0 +1,156 @@
+/**
+ * Fake Sheets API
+ * Stand-in for google.sheets({ version: 'v4' }) covering the calls
+ * GoogleSheetsClient makes: spreadsheets.get/batchUpdate and
+ * values.get/update/append/batchClear/batchUpdate.
+ * Tabs and cell values live in a JSON state file so a test (or a person)
+ * can read the "spreadsheet" after a run, or type a reviewer decision into it.
+ * Formatting requests are accepted; only conditional rules are remembered.
+ * Tabs listed in the state's `failReads` answer values.get with a 503, to
+ * simulate a transient API error.
+ */
+
+const fs = require('fs');
+
+// 'New Users (Review)!A5:H' → { title, row: 4, col: 0, endRow } (0-based, endRow exclusive)
+function parseRange(range) {
+  const bang = range.lastIndexOf('!');
+  const title = (bang === -1 ? range : range.slice(0, bang)).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+  const a1 = bang === -1 ? '' : range.slice(bang + 1);
+
+  const [start, end = ''] = a1.split(':');
+  const startCell = start.match(/^([A-Z]*)(\d*)$/);
+  const endCell = end.match(/^([A-Z]*)(\d*)$/);
+  if (!startCell || !endCell) {
+    throw new Error(`Unable to parse range: ${range}`);
+  }
+
+  const column = (letters) => [...letters].reduce((n, c) => n * 26 + c.charCodeAt(0) - 64, 0) - 1;
+  return {
+    title,
+    row: startCell[2] ? Number(startCell[2]) - 1 : 0,
+    col: startCell[1] ? column(startCell[1]) : 0,
+    endRow: endCell[2] ? Number(endCell[2]) : Infinity
+  };
+}
+
+class FakeSheetsApi {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = fs.existsSync(filePath) ?
+      JSON.parse(fs.readFileSync(filePath, 'utf-8')) :
+      { title: 'Sandbox Sync Results', nextSheetId: 1, sheets: [] };
+
+    // Same nesting as the googleapis client; every call resolves to { data }
+    this.spreadsheets = {
+      get: async (params) => this.respond(() => this.getSpreadsheet(params)),
+      batchUpdate: async (params) => this.respond(() => this.batchUpdate(params.resource.requests)),
+      values: {
+        get: async (params) => this.respond(() => this.getValues(params.range)),
+        update: async (params) => this.respond(() => this.updateValues(params.range, params.resource.values)),
+        append: async (params) => this.respond(() => this.appendValues(params.range, params.resource.values)),
+        batchClear: async (params) => this.respond(() => this.clearValues(params.resource.ranges)),
+        batchUpdate: async (params) => this.respond(() => this.batchUpdateValues(params.resource.data))
+      }
+    };
+  }
+
+  respond(fn) {
+    const data = fn();
+    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    return { data };
+  }
+
+  sheet(title, range = title) {
+    const sheet = this.state.sheets.find(s => s.properties.title === title);
+    if (!sheet) {
+      const error = new Error(`Unable to parse range: ${range}`);
+      error.code = 400;
+      throw error;
+    }
+    return sheet;
+  }
+
+  getSpreadsheet() {
+    return {
+      properties: { title: this.state.title },
+      sheets: this.state.sheets.map(s => ({ properties: s.properties, conditionalFormats: s.conditionalFormats }))
+    };
+  }
+
+  batchUpdate(requests) {
+    const replies = requests.map(request => {
+      if (request.addSheet) {
+        const title = request.addSheet.properties.title;
+        if (this.state.sheets.some(s => s.properties.title === title)) {
+          throw new Error(`Invalid requests[0].addSheet: A sheet with the name "${title}" already exists.`);
+        }
+        const properties = { sheetId: this.state.nextSheetId++, title };
+        this.state.sheets.push({ properties, values: [], conditionalFormats: [] });
+        return { addSheet: { properties } };
+      }
+
+      if (request.addConditionalFormatRule) {
+        const { rule } = request.addConditionalFormatRule;
+        const sheetId = rule.ranges[0].sheetId;
+        const sheet = this.state.sheets.find(s => s.properties.sheetId === sheetId);
+        if (!sheet) throw new Error(`No grid with id: ${sheetId}`);
+        sheet.conditionalFormats.push(rule);
+      }
+      return {};
+    });
+    return { replies };
+  }
+
+  getValues(range) {
+    const { title, row, endRow } = parseRange(range);
+    if ((this.state.failReads || []).includes(title)) {
+      const error = new Error('The service is currently unavailable.');
+      error.code = 503;
+      throw error;
+    }
+    const values = this.sheet(title, range).values.slice(row, endRow);
+
+    // Like the real API, trailing empty rows are dropped and an empty range has no values
+    while (values.length > 0 && values[values.length - 1].every(v => v === '' || v === null)) values.pop();
+    return values.length > 0 ? { range, values } : { range };
+  }
+
+  writeValues(range, rows) {
+    const { title, row, col } = parseRange(range);
+    const sheet = this.sheet(title, range);
+    rows.forEach((values, i) => {
+      const target = sheet.values[row + i] || [];
+      values.forEach((value, j) => { target[col + j] = value; });
+      for (let r = sheet.values.length; r < row + i; r++) sheet.values[r] = [];
+      sheet.values[row + i] = Array.from(target, v => v ?? '');
+    });
+    return { updatedRange: range, updatedRows: rows.length };
+  }
+
+  updateValues(range, rows) {
+    return this.writeValues(range, rows);
+  }
+
+  appendValues(range, rows) {
+    const { title } = parseRange(range);
+    const sheet = this.sheet(title, range);
+    const lastRow = sheet.values.reduce((last, r, i) => (r.some(v => v !== '' && v !== null) ? i + 1 : last), 0);
+    return { updates: this.writeValues(`${title}!A${lastRow + 1}`, rows) };
+  }
+
+  clearValues(ranges) {
+    for (const range of ranges) {
+      const { title } = parseRange(range);
+      this.sheet(title, range).values = [];
+    }
+    return { clearedRanges: ranges };
+  }
+
+  batchUpdateValues(data) {
+    const responses = data.map(d => this.writeValues(d.range, d.values));
+    return { totalUpdatedRows: responses.reduce((n, r) => n + r.updatedRows, 0), responses };
+  }
+}
+
+module.exports = FakeSheetsApi;
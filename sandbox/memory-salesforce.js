@@ -0,0 +1,270 @@
+/**
+ * Memory Salesforce
+ * In-memory stand-in for the jsforce Connection that SalesforceClient uses:
+ * describe, SOQL query/queryMore, Bulk query, find, create and update.
+ * Records and the object schema come from a JSON state file (seeded from
+ * sandbox/fixtures/salesforce.json); every write is saved back to it.
+ * Queries return pages of QUERY_PAGE_SIZE records, or the state's
+ * queryPageSize - set it low to make the client follow queryMore.
+ *
+ * Only the SOQL the sync sends is understood: SELECT fields FROM object,
+ * WHERE conditions joined with AND (=, != against null, true, false,
+ * numbers and 'strings', or IN a list of them), ORDER BY one field and LIMIT.
+ * As in Salesforce, a 15-character ID in a condition matches the 18-character one.
+ */
+
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const QUERY_PAGE_SIZE = 2000;
+
+const QUERY_PATTERN = /^SELECT\s+(.+?)\s+FROM\s+(\w+)(?:\s+WHERE\s+(.+?))?(?:\s+ORDER\s+BY\s+([\w.]+)(?:\s+(ASC|DESC))?)?(?:\s+LIMIT\s+(\d+))?$/i;
+const LITERAL = "null|true|false|-?\\d+(?:\\.\\d+)?|'(?:[^'\\\\]|\\\\.)*'";
+const CONDITION_PATTERN = new RegExp(`^([\\w.]+)\\s*(?:(=|!=)\\s*(${LITERAL})|(IN)\\s*\\(\\s*((?:${LITERAL})(?:\\s*,\\s*(?:${LITERAL}))*)\\s*\\))$`, 'i');
+const LITERAL_PATTERN = new RegExp(LITERAL, 'gi');
+
+function parseLiteral(text) {
+  const lower = text.toLowerCase();
+  if (lower === 'null') return null;
+  if (lower === 'true') return true;
+  if (lower === 'false') return false;
+  if (text.startsWith("'")) return text.slice(1, -1).replace(/\\(.)/g, '$1');
+  return Number(text);
+}
+
+// Salesforce-style save result
+function failure(id, statusCode, message) {
+  return { id: id || null, success: false, errors: [{ statusCode, message, fields: [] }] };
+}
+
+class MemorySalesforce {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.state = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    this.cursors = new Map();
+    this.bulk = { query: (soql) => this.bulkQuery(soql) };
+  }
+
+  save() {
+    fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+  }
+
+  schema(objectName) {
+    const schema = this.state.schema[objectName];
+    if (!schema) {
+      throw new Error(`INVALID_TYPE: sObject type '${objectName}' is not supported.`);
+    }
+    return schema;
+  }
+
+  records(objectName) {
+    this.schema(objectName);
+    this.state.records[objectName] = this.state.records[objectName] || [];
+    return this.state.records[objectName];
+  }
+
+  // 'Contact__r.Email' follows the lookup field to the related record
+  getValue(objectName, record, name) {
+    if (!name.includes('.')) return record[name] ?? null;
+
+    const [relationship, field] = name.split('.');
+    const lookup = this.schema(objectName).relationships[relationship];
+    const related = this.records(lookup.object).find(r => r.Id === record[lookup.field]);
+    return related ? related[field] ?? null : null;
+  }
+
+  checkField(objectName, name) {
+    const schema = this.schema(objectName);
+    const [relationship, field] = name.split('.');
+    const valid = field === undefined ?
+      schema.fields.includes(name) :
+      !!schema.relationships[relationship] && this.schema(schema.relationships[relationship].object).fields.includes(field);
+    if (!valid) {
+      throw new Error(`INVALID_FIELD: No such column '${name}' on entity '${objectName}'.`);
+    }
+  }
+
+  parseQuery(soql) {
+    const match = soql.trim().replace(/\s+/g, ' ').match(QUERY_PATTERN);
+    if (!match) {
+      throw new Error(`Sandbox SOQL not supported: ${soql.trim()}`);
+    }
+
+    const [, fieldList, objectName, where, orderBy, direction, limit] = match;
+    const fields = fieldList.split(',').map(f => f.trim());
+    const conditions = where ? where.split(/\s+AND\s+/i).map(c => {
+      const parts = c.trim().match(CONDITION_PATTERN);
+      if (!parts) throw new Error(`Sandbox SOQL condition not supported: ${c.trim()}`);
+      if (parts[4]) {
+        return { field: parts[1], operator: 'in', value: parts[5].match(LITERAL_PATTERN).map(parseLiteral) };
+      }
+      return { field: parts[1], operator: parts[2], value: parseLiteral(parts[3]) };
+    }) : [];
+
+    for (const name of [...fields, ...conditions.map(c => c.field), ...(orderBy ? [orderBy] : [])]) {
+      this.checkField(objectName, name);
+    }
+    return { fields, objectName, conditions, orderBy, descending: /desc/i.test(direction || ''), limit: limit ? Number(limit) : null };
+  }
+
+  runQuery(soql) {
+    const query = this.parseQuery(soql);
+    const { objectName } = query;
+
+    const sameValue = (value, literal) => value === literal ||
+      (typeof literal === 'string' && literal.length === 15 && String(value).substring(0, 15) === literal);
+    let rows = this.records(objectName).filter(r => query.conditions.every(c => {
+      const value = this.getValue(objectName, r, c.field);
+      if (c.operator === 'in') return c.value.some(literal => sameValue(value, literal));
+      return c.operator === '=' ? sameValue(value, c.value) : !sameValue(value, c.value);
+    }));
+
+    if (query.orderBy) {
+      const value = (r) => this.getValue(objectName, r, query.orderBy) ?? '';
+      rows = [...rows].sort((a, b) => (value(a) < value(b) ? -1 : value(a) > value(b) ? 1 : 0));
+      if (query.descending) rows.reverse();
+    }
+    if (query.limit !== null) rows = rows.slice(0, query.limit);
+
+    return { query, rows };
+  }
+
+  // REST shape - relationship fields come back nested ({ Contact__r: { Email } })
+  async query(soql) {
+    const { query, rows } = this.runQuery(soql);
+    const records = rows.map(r => {
+      const out = { attributes: { type: query.objectName } };
+      for (const name of query.fields) {
+        const [relationship, field] = name.split('.');
+        if (field === undefined) {
+          out[name] = this.getValue(query.objectName, r, name);
+        } else {
+          const lookup = this.schema(query.objectName).relationships[relationship];
+          const related = this.records(lookup.object).some(x => x.Id === r[lookup.field]);
+          if (!related) {
+            out[relationship] = null;
+          } else {
+            out[relationship] = { ...out[relationship], [field]: this.getValue(query.objectName, r, name) };
+          }
+        }
+      }
+      return out;
+    });
+
+    return this.page(records, 0);
+  }
+
+  async queryMore(locator) {
+    const cursor = this.cursors.get(locator);
+    if (!cursor) throw new Error(`INVALID_QUERY_LOCATOR: ${locator}`);
+    this.cursors.delete(locator);
+    return this.page(cursor.records, cursor.offset);
+  }
+
+  page(records, offset) {
+    const end = offset + (this.state.queryPageSize || QUERY_PAGE_SIZE);
+    const result = { totalSize: records.length, done: end >= records.length, records: records.slice(offset, end) };
+    if (!result.done) {
+      result.nextRecordsUrl = `/services/data/sandbox/query/${this.cursors.size + 1}-${end}`;
+      this.cursors.set(result.nextRecordsUrl, { records, offset: end });
+    }
+    return result;
+  }
+
+  // Bulk shape - flattened 'Contact__r.Email' keys and string values
+  bulkQuery(soql) {
+    const emitter = new EventEmitter();
+    setImmediate(() => {
+      try {
+        const { query, rows } = this.runQuery(soql);
+        for (const r of rows) {
+          emitter.emit('record', Object.fromEntries(query.fields.map(name => {
+            const value = this.getValue(query.objectName, r, name);
+            return [name, value === null ? '' : String(value)];
+          })));
+        }
+        emitter.emit('end');
+      } catch (e) {
+        emitter.emit('error', e);
+      }
+    });
+    return emitter;
+  }
+
+  sobject(objectName) {
+    return {
+      describe: async () => this.describe(objectName),
+      find: (conditions, fields) => this.find(objectName, conditions, fields),
+      create: async (input) => this.write(input, r => this.createRecord(objectName, r)),
+      update: async (input) => this.write(input, r => this.updateRecord(objectName, r))
+    };
+  }
+
+  describe(objectName) {
+    const schema = this.schema(objectName);
+    const relationshipOf = Object.fromEntries(Object.entries(schema.relationships).map(([name, r]) => [r.field, name]));
+    return {
+      name: objectName,
+      fields: schema.fields.map(name => ({ name, relationshipName: relationshipOf[name] || null }))
+    };
+  }
+
+  find(objectName, conditions, fields) {
+    let limit = Infinity;
+    const chain = {
+      limit: (n) => { limit = n; return chain; },
+      execute: async () => {
+        for (const name of [...Object.keys(conditions), ...fields]) this.checkField(objectName, name);
+        return this.records(objectName)
+          .filter(r => Object.entries(conditions).every(([name, value]) => r[name] === value))
+          .slice(0, limit)
+          .map(r => Object.fromEntries(fields.map(name => [name, r[name] ?? null])));
+      }
+    };
+    return chain;
+  }
+
+  // Single record → single result, array → array of results, like jsforce
+  write(input, writeOne) {
+    const results = [].concat(input).map(writeOne);
+    this.save();
+    return Array.isArray(input) ? results : results[0];
+  }
+
+  unknownFields(objectName, record) {
+    const fields = this.schema(objectName).fields;
+    return Object.keys(record).filter(name => !fields.includes(name));
+  }
+
+  createRecord(objectName, input) {
+    const record = Object.fromEntries(Object.entries(input).filter(([, value]) => value !== undefined));
+    const unknown = this.unknownFields(objectName, record);
+    if (unknown.length > 0) {
+      return failure(null, 'INVALID_FIELD', `No such column '${unknown[0]}' on sobject of type ${objectName}`);
+    }
+    if (objectName === 'Contact') {
+      if (!record.LastName) return failure(null, 'REQUIRED_FIELD_MISSING', 'Required fields are missing: [LastName]');
+      record.Name = [record.FirstName, record.LastName].filter(Boolean).join(' ');
+    }
+
+    const id = `${this.schema(objectName).keyPrefix}${String(this.state.nextId++).padStart(12, '0')}AAA`;
+    this.records(objectName).push({ Id: id, ...record, CreatedDate: new Date().toISOString() });
+    return { id, success: true, errors: [] };
+  }
+
+  updateRecord(objectName, input) {
+    const { Id, ...fields } = input;
+    const record = this.records(objectName).find(r => r.Id === Id);
+    if (!record) return failure(Id, 'ENTITY_IS_DELETED', 'entity is deleted');
+
+    const unknown = this.unknownFields(objectName, fields);
+    if (unknown.length > 0) {
+      return failure(Id, 'INVALID_FIELD', `No such column '${unknown[0]}' on sobject of type ${objectName}`);
+    }
+
+    Object.assign(record, fields);
+    return { id: Id, success: true, errors: [] };
+  }
+}
+
+module.exports = MemorySalesforce;
@@ -0,0 +1,264 @@
+/**
+ * Mock Uscreen Server
+ * Local stand-in for the Uscreen admin site the scraper drives:
+ * sign-in form, People and Invoices pages with an Export button, and
+ * Exported Files with downloadable CSVs. The People/Invoices CSVs come from
+ * sandbox/fixtures; an older, smaller People export is already listed so the
+ * scraper has to pick the fresh ones.
+ * Also serves the same data through the Publisher API (customers, invoices),
+ * with a per_page cap, Link headers that can be switched off and injectable 429s.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+// Same paths as the real admin site (uscreen.paths in sync.config.json)
+const PATHS = {
+  login: '/admin/users/sign_in',
+  logout: '/admin/users/sign_out',
+  dashboard: '/admin',
+  people: '/manage/people',
+  invoices: '/bullet/invoices',
+  exportedFiles: '/bullet/settings/exported_files',
+  api: '/publisher_api/v1'
+};
+
+const SESSION_COOKIE = '_uscreen_session';
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+class MockUscreenServer {
+  constructor(options) {
+    this.fixturesDir = options.fixturesDir;
+    this.email = options.email;
+    this.password = options.password;
+    this.apiKey = options.apiKey;
+    // How long a triggered export stays "processing" before its link appears
+    this.exportDelayMs = options.exportDelayMs || 0;
+    // Publisher API behaviour - can be changed between runs
+    this.api = {
+      maxPerPage: options.apiMaxPerPage || 100, // larger per_page values are capped, like the real API
+      linkHeaders: options.apiLinkHeaders ?? true,
+      rateLimited: 0, // the next N API requests get a 429...
+      retryAfter: 0 // ...with this Retry-After (seconds)
+    };
+
+    this.sessions = new Set();
+    this.exports = [];
+    this.requests = [];
+    this.server = null;
+  }
+
+  async start(port = 0) {
+    const people = fs.readFileSync(path.join(this.fixturesDir, 'people.csv'), 'utf-8');
+    this.files = {
+      people: people,
+      invoices: fs.readFileSync(path.join(this.fixturesDir, 'invoices.csv'), 'utf-8')
+    };
+
+    // Last week's export - header plus one row
+    this.exports = [{ id: 1, type: 'people', content: people.split('\n').slice(0, 2).join('\n') + '\n', readyAt: 0 }];
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(e => this.send(res, 500, 'text/plain', e.stack));
+    });
+    await new Promise(resolve => this.server.listen(port, '127.0.0.1', resolve));
+    this.baseUrl = `http://127.0.0.1:${this.server.address().port}`;
+    return this.baseUrl;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, this.baseUrl);
+    const route = `${req.method} ${url.pathname}`;
+    this.requests.push(route);
+
+    if (url.pathname.startsWith(PATHS.api)) {
+      return this.handleApi(req, res, url);
+    }
+
+    if (route === `GET ${PATHS.login}`) {
+      return this.send(res, 200, 'text/html', this.loginPage(''));
+    }
+    if (route === `POST ${PATHS.login}`) {
+      const form = new URLSearchParams(await readBody(req));
+      if (form.get('user[email]') !== this.email || form.get('user[password]') !== this.password) {
+        return this.send(res, 200, 'text/html', this.loginPage('Invalid Email or password.'));
+      }
+      const session = crypto.randomBytes(16).toString('hex');
+      this.sessions.add(session);
+      return this.redirect(res, PATHS.dashboard, `${SESSION_COOKIE}=${session}; Path=/; HttpOnly`);
+    }
+
+    // Everything else needs a session
+    const session = (req.headers.cookie || '').split(/;\s*/).map(c => c.split('=')).find(([k]) => k === SESSION_COOKIE);
+    if (!session || !this.sessions.has(session[1])) {
+      return req.method === 'GET' ? this.redirect(res, PATHS.login) : this.send(res, 401, 'text/plain', 'Unauthorized');
+    }
+
+    if (route === `GET ${PATHS.logout}`) {
+      this.sessions.delete(session[1]);
+      return this.redirect(res, PATHS.login);
+    }
+    if (route === `GET ${PATHS.dashboard}`) {
+      return this.send(res, 200, 'text/html', this.page('Dashboard', '<p>Welcome back.</p>'));
+    }
+    if (route === `GET ${PATHS.people}`) {
+      return this.send(res, 200, 'text/html', this.exportPage('People', 'people'));
+    }
+    if (route === `GET ${PATHS.invoices}`) {
+      return this.send(res, 200, 'text/html', this.exportPage('Invoices', 'invoices'));
+    }
+    if (route === `POST ${PATHS.people}/export` || route === `POST ${PATHS.invoices}/export`) {
+      const type = url.pathname.startsWith(PATHS.people) ? 'people' : 'invoices';
+      const id = this.exports.length + 1;
+      this.exports.push({ id, type, content: this.files[type], readyAt: Date.now() + this.exportDelayMs });
+      return this.send(res, 202, 'application/json', JSON.stringify({ id, status: 'processing' }));
+    }
+    if (route === `GET ${PATHS.exportedFiles}`) {
+      return this.send(res, 200, 'text/html', this.exportedFilesPage());
+    }
+
+    const download = url.pathname.match(new RegExp(`^${PATHS.exportedFiles}/(\\d+)/([\\w-]+\\.csv)$`));
+    const file = download && this.exports.find(e => e.id === Number(download[1]) && e.readyAt <= Date.now());
+    if (req.method === 'GET' && file) {
+      res.writeHead(200, {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="${download[2]}"`
+      });
+      return res.end(file.content);
+    }
+
+    return this.send(res, 404, 'text/html', this.page('Not found', '<p>Page not found.</p>'));
+  }
+
+  // Publisher API - page/per_page pagination with a Link header, key in Authorization
+  handleApi(req, res, url) {
+    if (req.headers.authorization !== this.apiKey) {
+      return this.send(res, 401, 'application/json', JSON.stringify({ error: 'Unauthorized' }));
+    }
+
+    if (this.api.rateLimited > 0) {
+      this.api.rateLimited--;
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': String(this.api.retryAfter) });
+      return res.end(JSON.stringify({ error: 'Too many requests' }));
+    }
+
+    const resources = { customers: () => this.apiCustomers(), invoices: () => this.apiInvoices() };
+    const resource = resources[url.pathname.slice(PATHS.api.length + 1)];
+    if (req.method !== 'GET' || !resource) {
+      return this.send(res, 404, 'application/json', JSON.stringify({ error: 'Not found' }));
+    }
+
+    const items = resource();
+    const page = Math.max(1, parseInt(url.searchParams.get('page'), 10) || 1);
+    const perPage = Math.min(this.api.maxPerPage, Math.max(1, parseInt(url.searchParams.get('per_page'), 10) || 25));
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.api.linkHeaders && page * perPage < items.length) {
+      const next = new URL(url);
+      next.searchParams.set('page', page + 1);
+      headers.Link = `<${next}>; rel="next"`;
+    }
+
+    res.writeHead(200, headers);
+    res.end(JSON.stringify(items.slice((page - 1) * perPage, page * perPage)));
+  }
+
+  apiCustomers() {
+    return parse(this.files.people, { columns: true, skip_empty_lines: true, trim: true }).map(r => ({
+      id: Number(r['User ID']),
+      email: r['User email'],
+      name: r['User Name'],
+      subscription_status: r.Status,
+      lifetime_spent: r.Lifetime,
+      segment: r.Segment,
+      created_at: r['Created on date']
+    }));
+  }
+
+  apiInvoices() {
+    return parse(this.files.invoices, { columns: true, skip_empty_lines: true, trim: true }).map(r => ({
+      id: r['Payment ID'],
+      total: r['Charge Amount'],
+      // The API sends a full timestamp where the export has only the day
+      paid_at: `${r['Charge Date']}T14:32:00Z`,
+      offer_title: r.Subscription,
+      coupon_code: r.Coupon,
+      status: r.Status,
+      customer: { id: Number(r['User ID']), email: r.Email, name: r.Name }
+    }));
+  }
+
+  send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType });
+    res.end(body);
+  }
+
+  redirect(res, location, cookie) {
+    res.writeHead(302, { Location: location, ...(cookie ? { 'Set-Cookie': cookie } : {}) });
+    res.end();
+  }
+
+  page(title, body, loggedIn = true) {
+    const nav = loggedIn ?
+      `<nav><a href="${PATHS.people}">People</a> <a href="${PATHS.invoices}">Invoices</a> <a href="${PATHS.exportedFiles}">Exported Files</a> <a href="${PATHS.logout}">Sign out</a></nav>` :
+      '';
+    return `<!DOCTYPE html><html><head><title>${escapeHtml(title)} - Uscreen (sandbox)</title></head><body>${nav}<h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+  }
+
+  loginPage(error) {
+    return this.page('Sign in', `
+      ${error ? `<div class="alert-danger" role="alert">${escapeHtml(error)}</div>` : ''}
+      <form action="/auth/google" method="get"><button type="submit">Sign in with Google</button></form>
+      <form action="${PATHS.login}" method="post">
+        <input type="email" name="user[email]">
+        <input type="password" name="user[password]">
+        <button type="submit">Sign in</button>
+      </form>`, false);
+  }
+
+  exportPage(title, type) {
+    return this.page(title, `
+      <button type="button" class="export-button">Export</button>
+      <p id="export-status"></p>
+      <script>
+        document.querySelector('.export-button').addEventListener('click', () => {
+          fetch(location.pathname + '/export', { method: 'POST' })
+            .then(() => { document.getElementById('export-status').textContent = 'Your ${type} export is being prepared.'; });
+        });
+      </script>`);
+  }
+
+  exportedFilesPage() {
+    const rows = [...this.exports].reverse().map(e => {
+      const name = `${e.type}-export-${e.id}.csv`;
+      return e.readyAt <= Date.now() ?
+        `<tr><td><a href="${PATHS.exportedFiles}/${e.id}/${name}">${name}</a></td></tr>` :
+        `<tr><td>${name} (processing)</td></tr>`;
+    });
+    return this.page('Exported Files', `<table>${rows.join('')}</table>`);
+  }
+}
+
+module.exports = MockUscreenServer;
+module.exports.PATHS = PATHS;
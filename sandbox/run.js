@@ -0,0 +1,44 @@
+/**
+ * Sandbox Runner
+ * Runs the sync against the mock Uscreen site, in-memory Salesforce and
+ * fake Sheets. Everything it writes goes to sandbox/state/.
+ *
+ * Usage: node sandbox/run.js [--reset] [--keep-alive] [sync|scrape|... flags]
+ *   --reset       start again from sandbox/fixtures
+ *   --keep-alive  leave the mock Uscreen site running after the sync (Ctrl+C to stop)
+ * USCREEN_SOURCE=api uses the mock Publisher API instead of the browser.
+ */
+
+const Sandbox = require('./sandbox');
+
+async function main() {
+  const flags = ['--reset', '--keep-alive'];
+  const args = process.argv.slice(2).filter(a => !flags.includes(a));
+  const sandbox = new Sandbox();
+
+  const baseUrl = await sandbox.start({ reset: process.argv.includes('--reset') });
+  console.log(`🧪 Mock Uscreen: ${baseUrl} (${Sandbox.CREDENTIALS.email} / ${Sandbox.CREDENTIALS.password})`);
+  console.log(`   State: ${sandbox.dir}`);
+
+  const result = await sandbox.run(args, {
+    inherit: true,
+    env: process.env.USCREEN_SOURCE ? { USCREEN_SOURCE: process.env.USCREEN_SOURCE } : {}
+  });
+
+  console.log(`🧪 Salesforce records: ${sandbox.salesforcePath}`);
+  console.log(`   Sheets tabs: ${sandbox.sheetsPath}`);
+
+  if (process.argv.includes('--keep-alive')) {
+    console.log(`🧪 Mock Uscreen still running at ${baseUrl} - Ctrl+C to stop`);
+    process.on('SIGINT', () => sandbox.stop().then(() => process.exit(0)));
+    return;
+  }
+
+  await sandbox.stop();
+  process.exit(result.code === 0 ? 0 : 1);
+}
+
+main().catch(e => {
+  console.error(`❌ Sandbox failed: ${e.message}`);
+  process.exit(1);
+});
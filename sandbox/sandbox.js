@@ -0,0 +1,155 @@
+/**
+ * Sandbox
+ * Runs the real sync (src/index.js) fully offline: the mock Uscreen site
+ * and Publisher API, an in-memory Salesforce and a fake Sheets API, all
+ * seeded from sandbox/fixtures. State, run artifacts, history, reports and
+ * downloads go in one directory that can be inspected or thrown away.
+ * Used by npm run sandbox and the test suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const MockUscreenServer = require('./mock-uscreen-server');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const INDEX_PATH = path.join(__dirname, '../src/index.js');
+const SYNC_CONFIG_PATH = path.join(__dirname, '../sync.config.json');
+const RUN_TIMEOUT_MS = 3 * 60 * 1000;
+
+const CREDENTIALS = {
+  email: 'admin@sandbox.test',
+  password: 'sandbox-password',
+  apiKey: 'sandbox-api-key'
+};
+
+// Real credentials and settings from the caller's env never reach a sandbox run
+const ENV_PREFIXES = ['USCREEN_', 'SF_', 'GOOGLE_', 'SHEETS_', 'SYNC_', 'NOTIFY_', 'STATUS_MAPPING_'];
+
+class Sandbox {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || path.join(__dirname, 'state'));
+    this.fixturesDir = options.fixturesDir || FIXTURES_DIR;
+    this.server = new MockUscreenServer({ ...CREDENTIALS, fixturesDir: this.fixturesDir, exportDelayMs: options.exportDelayMs });
+  }
+
+  get salesforcePath() {
+    return path.join(this.dir, 'salesforce.json');
+  }
+
+  get sheetsPath() {
+    return path.join(this.dir, 'sheets.json');
+  }
+
+  get configPath() {
+    return path.join(this.dir, 'sync.config.json');
+  }
+
+  // Keeps Salesforce and Sheets state from earlier runs unless reset
+  async start(options = {}) {
+    if (options.reset) {
+      fs.rmSync(this.dir, { recursive: true, force: true });
+    }
+    fs.mkdirSync(this.dir, { recursive: true });
+    if (!fs.existsSync(this.salesforcePath)) {
+      fs.copyFileSync(path.join(this.fixturesDir, 'salesforce.json'), this.salesforcePath);
+    }
+
+    const baseUrl = await this.server.start(options.port);
+
+    // The project's own sync.config.json, pointed at the mock server
+    const config = JSON.parse(fs.readFileSync(SYNC_CONFIG_PATH, 'utf-8'));
+    config.$schema = path.join(__dirname, '../sync.config.schema.json');
+    config.uscreen.baseUrl = baseUrl;
+    config.uscreen.api.baseUrl = `${baseUrl}${MockUscreenServer.PATHS.api}`;
+    config.uscreen.api.minRequestIntervalMs = 0;
+    config.uscreen.retry = { attempts: 2, baseDelayMs: 500 };
+    fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+
+    return baseUrl;
+  }
+
+  async stop() {
+    await this.server.stop();
+  }
+
+  env(overrides = {}) {
+    const env = Object.fromEntries(Object.entries(process.env)
+      .filter(([key]) => !ENV_PREFIXES.some(prefix => key.startsWith(prefix))));
+
+    return {
+      ...env,
+      SYNC_SANDBOX_DIR: this.dir,
+      SYNC_CONFIG_PATH: this.configPath,
+      SYNC_RUNS_DIR: path.join(this.dir, 'runs'),
+      SYNC_HISTORY_DIR: path.join(this.dir, 'history'),
+      SYNC_OUTPUT_DIR: path.join(this.dir, 'reports'),
+      USCREEN_EMAIL: CREDENTIALS.email,
+      USCREEN_PASSWORD: CREDENTIALS.password,
+      USCREEN_API_KEY: CREDENTIALS.apiKey,
+      USCREEN_DOWNLOAD_DIR: path.join(this.dir, 'downloads'),
+      USCREEN_DIAGNOSTICS_DIR: path.join(this.dir, 'diagnostics'),
+      GOOGLE_SHEET_ID: 'sandbox-spreadsheet',
+      NOTIFY_ON: 'never',
+      ...overrides
+    };
+  }
+
+  // Runs src/index.js with the given arguments; resolves with the exit code and output
+  run(args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+      // cwd is the sandbox so the project's .env isn't loaded
+      const child = spawn(process.execPath, [INDEX_PATH, ...args], {
+        cwd: this.dir,
+        env: this.env(options.env),
+        stdio: options.inherit ? 'inherit' : 'pipe',
+        timeout: options.timeoutMs || RUN_TIMEOUT_MS
+      });
+
+      let output = '';
+      if (!options.inherit) {
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.stderr.on('data', chunk => { output += chunk; });
+      }
+      child.on('error', reject);
+      child.on('close', (code, signal) => resolve({ code: signal ? signal : code, output }));
+    });
+  }
+
+  readSalesforce() {
+    return JSON.parse(fs.readFileSync(this.salesforcePath, 'utf-8')).records;
+  }
+
+  // Cell values of one tab, [] if it doesn't exist
+  readSheet(title) {
+    if (!fs.existsSync(this.sheetsPath)) return [];
+    const state = JSON.parse(fs.readFileSync(this.sheetsPath, 'utf-8'));
+    const sheet = state.sheets.find(s => s.properties.title === title);
+    return sheet ? sheet.values : [];
+  }
+
+  // Makes every read of these tabs fail with a 503 on the next run
+  failSheetReads(titles) {
+    const state = JSON.parse(fs.readFileSync(this.sheetsPath, 'utf-8'));
+    state.failReads = titles;
+    fs.writeFileSync(this.sheetsPath, JSON.stringify(state, null, 2));
+  }
+
+  // Types into one cell, like a reviewer would - row found by a column value
+  editSheet(title, match, column, value) {
+    const state = JSON.parse(fs.readFileSync(this.sheetsPath, 'utf-8'));
+    const sheet = state.sheets.find(s => s.properties.title === title);
+    if (!sheet) throw new Error(`Sandbox sheet has no tab "${title}"`);
+
+    const [header] = sheet.values;
+    const [matchColumn, matchValue] = Object.entries(match)[0];
+    const row = sheet.values.find((r, i) => i > 0 && r[header.indexOf(matchColumn)] === matchValue);
+    if (!row) throw new Error(`No row with ${matchColumn} = ${matchValue} on "${title}"`);
+
+    row[header.findIndex(h => String(h).startsWith(column))] = value;
+    fs.writeFileSync(this.sheetsPath, JSON.stringify(state, null, 2));
+  }
+}
+
+module.exports = Sandbox;
+module.exports.CREDENTIALS = CREDENTIALS;
@@ -0,0 +1,80 @@
+/**
+ * Comparer Benchmark
+ * Times DataComparer.compare() on synthetic data (100k payments by default)
+ * against the old per-user scan of the full payment list.
+ *
+ * Usage: node scripts/benchmark-comparer.js [users] [payments]
+ */
+
+const DataComparer = require('../src/data-comparer');
+
+const USER_COUNT = parseInt(process.argv[2], 10) || 20000;
+const PAYMENT_COUNT = parseInt(process.argv[3], 10) || 100000;
+const BASELINE_SAMPLE = 1000;
+
+function buildData() {
+  const users = [];
+  const sfData = [];
+  for (let i = 0; i < USER_COUNT; i++) {
+    users.push({
+      id: String(i),
+      email: `user${i}@example.com`,
+      name: `User ${i}`,
+      status: i % 10 === 0 ? 'cancelled' : 'active',
+      lifetime: 100,
+      segment: '',
+      createdDate: ''
+    });
+    if (i % 4 !== 0) {
+      sfData.push({ sfId: `SF${i}`, uscreenMemberId: String(i), contactEmail: `user${i}@example.com`, contactName: `User ${i}` });
+    }
+  }
+
+  const start = new Date('2023-01-01').getTime();
+  const payments = [];
+  for (let i = 0; i < PAYMENT_COUNT; i++) {
+    const u = i % USER_COUNT;
+    payments.push({
+      userId: String(u),
+      email: `user${u}@example.com`,
+      name: `User ${u}`,
+      chargeDate: new Date(start + (i % 365) * 86400000),
+      amount: i % 17 === 0 ? 0 : 19.99,
+      subscription: 'Monthly',
+      coupon: '',
+      paymentId: `P${i}`
+    });
+  }
+
+  return { users, payments, sfData };
+}
+
+// The pre-index implementation: filter + sort the whole list per user
+function scanLatestPayment(payments, email, uscreenId) {
+  const userPayments = payments.filter(p => p.amount > 0 && (p.email === email || p.userId === uscreenId));
+  userPayments.sort((a, b) => b.chargeDate - a.chargeDate);
+  return userPayments[0] || null;
+}
+
+function time(fn) {
+  const started = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - started) / 1e6;
+}
+
+const { users, payments, sfData } = buildData();
+console.log(`\n⏱️  Benchmark: ${USER_COUNT} users, ${payments.length} payments, ${sfData.length} SF records\n`);
+
+let results;
+const indexedMs = time(() => {
+  results = new DataComparer().compare({ users, payments }, sfData);
+});
+console.log(`   Indexed compare():       ${indexedMs.toFixed(0)} ms (${results.matched.length} matched)`);
+
+const sample = users.slice(0, Math.min(BASELINE_SAMPLE, users.length));
+const sampleMs = time(() => {
+  for (const u of sample) scanLatestPayment(payments, u.email, u.id);
+});
+const baselineMs = sampleMs * (users.length / sample.length);
+console.log(`   Per-user scan (estimate): ${baselineMs.toFixed(0)} ms (measured on ${sample.length} users)`);
+console.log(`   Speedup: ~${Math.round(baselineMs / indexedMs)}x\n`);
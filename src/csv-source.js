@@ -0,0 +1,110 @@
+/**
+ * Local CSV Source
+ * Loads Uscreen People + Invoices exports from disk instead of scraping,
+ * returning the same { users, payments } shape as UscreenScraper.scrapeAll()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+
+// Filename patterns used to pick files out of a --from-dir folder
+const USERS_FILE_PATTERN = /people|users|customers/i;
+const PAYMENTS_FILE_PATTERN = /invoices|payments|sales/i;
+
+// Header columns that identify each export type (compared case/space-insensitively)
+const EXPORT_SCHEMAS = {
+  users: ['user id', 'user email', 'lifetime'],
+  payments: ['charge date', 'charge amount']
+};
+
+function normalizeHeader(header) {
+  return String(header).trim().toLowerCase().replace(/[_\s]+/g, ' ');
+}
+
+// Returns 'users', 'payments' or null based on the file's header row
+function detectExportType(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const [headerRow] = parse(content, { to_line: 1, skip_empty_lines: true, trim: true });
+  if (!headerRow) return null;
+
+  const headers = new Set(headerRow.map(normalizeHeader));
+  const matches = Object.entries(EXPORT_SCHEMAS)
+    .filter(([, columns]) => columns.some(c => headers.has(c)))
+    .map(([type]) => type);
+
+  // Payments exports can carry user columns too - charge columns decide
+  if (matches.includes('payments')) return 'payments';
+  return matches[0] || null;
+}
+
+function parseCSVFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  return parse(content, {
+    columns: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+}
+
+class LocalCsvSource {
+  constructor(options) {
+    this.usersPath = options.usersCsv || null;
+    this.paymentsPath = options.paymentsCsv || null;
+    this.fromDir = options.fromDir || null;
+  }
+
+  async load() {
+    let usersPath = this.usersPath;
+    let paymentsPath = this.paymentsPath;
+
+    if (this.fromDir) {
+      const found = this.findFilesInDir(this.fromDir);
+      usersPath = usersPath || found.users;
+      paymentsPath = paymentsPath || found.payments;
+    }
+
+    if (!usersPath) {
+      throw new Error('No Uscreen users CSV given. Use --users-csv <file> or --from-dir <dir>.');
+    }
+    if (!paymentsPath) {
+      throw new Error('No Uscreen payments CSV given. Use --payments-csv <file> or --from-dir <dir>.');
+    }
+
+    for (const filePath of [usersPath, paymentsPath]) {
+      if (!fs.existsSync(filePath)) {
+        throw new Error(`CSV file not found: ${filePath}`);
+      }
+    }
+
+    console.log(`   📂 Users file: ${usersPath}`);
+    console.log(`   📂 Payments file: ${paymentsPath}`);
+
+    return {
+      users: parseCSVFile(usersPath),
+      payments: parseCSVFile(paymentsPath)
+    };
+  }
+
+  findFilesInDir(dir) {
+    if (!fs.existsSync(dir)) {
+      throw new Error(`Input directory not found: ${dir}`);
+    }
+
+    // Newest first, so a folder of weekly exports picks up the latest pair
+    const csvFiles = fs.readdirSync(dir)
+      .filter(f => f.toLowerCase().endsWith('.csv'))
+      .map(f => path.join(dir, f))
+      .sort((a, b) => fs.statSync(b).mtime - fs.statSync(a).mtime);
+
+    return {
+      users: csvFiles.find(f => USERS_FILE_PATTERN.test(path.basename(f))) || null,
+      payments: csvFiles.find(f => PAYMENTS_FILE_PATTERN.test(path.basename(f))) || null
+    };
+  }
+}
+
+module.exports = LocalCsvSource;
+module.exports.parseCSVFile = parseCSVFile;
+module.exports.detectExportType = detectExportType;
+module.exports.normalizeHeader = normalizeHeader;
@@ -1,26 +1,165 @@
 /**
  * Data Comparer
  * Compares Uscreen data with Salesforce data
- * Identifies: matches, new payments to update, new users, cancelled users
+ * Identifies: matches, new payments to update, new users, cancelled and
+ * reactivated users, other status mismatches, SF plan/price fields that no longer match the latest charge,
+ * ambiguous matches that need a reviewer to pick the right SF record, and members with refunded or disputed payments.
+ * A reverse pass then finds SF records no Uscreen user matched, and Active__c flags the Uscreen status disagrees with.
  */
 
+const StatusMapping = require('./status-mapping');
+
+// Confidence per match method (1 = certain)
+const MATCH_CONFIDENCE = {
+  'manual link': 1.0,
+  'uscreen id + email': 1.0,
+  'uscreen id': 0.95,
+  'email': 0.9,
+  'normalized email': 0.8,
+  'name': 0.5
+};
+
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Payment status → kind, checked in order; anything else is a charge unless the amount is negative
+const PAYMENT_KINDS = [
+  { kind: 'chargeback', pattern: /charge.?back|disput/i },
+  { kind: 'refund', pattern: /refund|revers/i },
+  { kind: 'failed', pattern: /fail|declin|unpaid|void|error/i }
+];
+
+// charge, refund, chargeback or failed
+function classifyPayment(payment) {
+  const match = PAYMENT_KINDS.find(k => k.pattern.test(payment.status || ''));
+  if (match) return match.kind;
+  return payment.amount < 0 ? 'refund' : 'charge';
+}
+
+// YYYY-MM-DD in UTC, the form SalesforceUpdater writes date fields in
+function calendarDay(date) {
+  return date.toISOString().split('T')[0];
+}
+
+// The same refund or chargeback row in two runs - payer, kind, amount and date
+function reversalKey(payer, reversal) {
+  return `${payer}|${reversal.kind}|${reversal.amount}|${reversal.date ? reversal.date.getTime() : ''}`;
+}
+
+// Pairs one payer's refund/chargeback rows with the charges they reverse: the
+// same Payment ID, or for a negative row the newest earlier untouched charge of
+// the same amount. A charge is reversed once its refunds add up to its amount.
+// A positive row with no such charge is the refunded invoice itself and was
+// never paid; a negative one is a refund of a charge older than the export.
+function pairReversals(payments) {
+  const byDate = (a, b) => (a.chargeDate || 0) - (b.chargeDate || 0);
+  const charges = payments.filter(p => classifyPayment(p) === 'charge').sort(byDate).reverse();
+  const refundedByCharge = new Map();
+  const reversed = new Set();
+  const reversals = [];
+  const unpaired = [];
+
+  // Oldest first, so each reversal takes a charge not already reversed
+  for (const p of payments.slice().sort(byDate)) {
+    const kind = classifyPayment(p);
+    if (kind !== 'refund' && kind !== 'chargeback') continue;
+
+    const amount = Math.abs(p.amount);
+    const original =
+      charges.find(c => c.paymentId && c.paymentId === p.paymentId && !reversed.has(c)) ||
+      (p.amount < 0 && charges.find(c => !refundedByCharge.has(c) && c.amount === amount && (!p.chargeDate || c.chargeDate <= p.chargeDate)));
+
+    if (original) {
+      const refunded = Math.min(original.amount, (refundedByCharge.get(original) || 0) + amount);
+      refundedByCharge.set(original, refunded);
+      // A partial refund leaves the rest of the charge paid
+      if (refunded >= original.amount - 0.005) reversed.add(original);
+    } else if (p.amount < 0) {
+      unpaired.push(p);
+    }
+
+    reversals.push({ kind, amount, date: p.chargeDate, paymentId: original ? original.paymentId : p.paymentId });
+  }
+
+  return { reversals, refundedByCharge, reversed, unpaired };
+}
+
+// Lowercase, trim, drop +tags, and ignore dots for Gmail addresses
+function normalizeEmail(email) {
+  const trimmed = String(email || '').trim().toLowerCase();
+  const at = trimmed.lastIndexOf('@');
+  if (at < 1) return trimmed;
+
+  let local = trimmed.slice(0, at).split('+')[0];
+  let domain = trimmed.slice(at + 1);
+  if (GMAIL_DOMAINS.includes(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return `${local}@${domain}`;
+}
+
+function normalizePlan(value) {
+  return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function toCents(amount) {
+  return amount === null || amount === undefined || amount === '' ? null : Math.round(Number(amount) * 100);
+}
+
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z\s]/g, '').replace(/\s+/g, ' ').trim();
+}
+
 class DataComparer {
-  constructor() {
-    // Build lookup maps
+  constructor(options = {}) {
+    this.matchByName = !!options.matchByName;
+    this.statusMapping = options.statusMapping || new StatusMapping();
+
+    // Thresholds from rules in sync.config.json
+    const rules = options.rules || {};
+    this.newUserMinLifetime = rules.newUserMinLifetime ?? 0;
+    this.minPaymentAmount = rules.minPaymentAmount ?? 0;
+
+    // Uscreen Subscription name → expected SF plan fields (plans in sync.config.json)
+    this.plans = new Map(Object.entries(options.plans || {}).map(([name, plan]) => [normalizePlan(name), plan]));
+
+    // Reviewer decisions (ReviewStore) - manual links and rejected users
+    this.reviewStore = options.reviewStore || null;
+    this.manualLinks = this.reviewStore ? this.reviewStore.getLinks() : new Map();
+
+    // Build lookup maps (each key can point at several SF records)
+    this.sfById = new Map();
     this.sfByUscreenId = new Map();
     this.sfByEmail = new Map();
+    this.sfByNormalizedEmail = new Map();
+    this.sfByName = new Map();
+
+    // Payment indexes, built once per compare() - newest payment first
+    this.paymentsByEmail = new Map();
+    this.paymentsByUserId = new Map();
   }
 
-  compare(uscreenData, sfData) {
+  compare(uscreenData, sfData, previousRun = null) {
     const { users: uscreenUsers, payments: uscreenPayments } = uscreenData;
+    const previousUsers = this.indexPreviousUsers(previousRun);
+    const previousReversals = this.indexPreviousReversals(previousRun);
+
+    this.indexPayments(uscreenPayments);
 
     // Build SF lookup maps
     for (const sf of sfData) {
+      // Reviewers may paste 15- or 18-character SF IDs
+      this.sfById.set(sf.sfId, sf);
+      this.sfById.set(String(sf.sfId).substring(0, 15), sf);
       if (sf.uscreenMemberId) {
-        this.sfByUscreenId.set(String(sf.uscreenMemberId), sf);
+        this.addToIndex(this.sfByUscreenId, String(sf.uscreenMemberId), sf);
       }
       if (sf.contactEmail) {
-        this.sfByEmail.set(sf.contactEmail.toLowerCase(), sf);
+        this.addToIndex(this.sfByEmail, sf.contactEmail.trim().toLowerCase(), sf);
+        this.addToIndex(this.sfByNormalizedEmail, normalizeEmail(sf.contactEmail), sf);
+      }
+      if (sf.contactName) {
+        this.addToIndex(this.sfByName, normalizeName(sf.contactName), sf);
       }
     }
 
@@ -28,53 +167,102 @@ class DataComparer {
       matched: [],      // Users that exist in both systems
       needsUpdate: [],  // Matched users with new payment data
       newUsers: [],     // Uscreen users not in SF (paid only)
-      cancelled: [],    // Users whose status changed to cancelled
+      cancelled: [],    // Matched users newly inactive in Uscreen, still active in SF
+      reactivated: [],  // Matched users inactive in SF, active again in Uscreen
+      statusMismatch: [], // Other SF status / Active__c differences
+      planMismatch: [], // SF plan, frequency or cost out of date with the latest charge
+      changes: [],      // Transitions since the previous run
+      ambiguous: [],    // Conflicting or multiple SF matches for review
+      refunded: [],     // Users with refunded or charged-back payments, for finance
+      sfMissing: [],    // SF records with a Uscreen ID that no Uscreen user matched
+      activeMismatch: [], // SF Active__c disagreeing with the Uscreen status, whatever last run saw
       noMatch: []       // Unmatched for review
     };
 
-    // Process each Uscreen user
+    // Process each Uscreen user (canonical records from UscreenRecords)
     for (const user of uscreenUsers) {
-      const uscreenId = user['User ID'] || user.user_id || user.id;
-      const email = (user.email || user['User email'] || '').toLowerCase();
-      const status = (user.Status || user.status || '').toLowerCase();
-      const lifetime = parseFloat(user['Lifetime'] || user.lifetime || 0);
+      const uscreenId = user.id;
+      const email = user.email;
+      const status = user.status;
+      const lifetime = user.lifetime;
+      const previousUser = previousUsers && (previousUsers.get(`id:${uscreenId}`) || previousUsers.get(`email:${email}`));
+
+      if (previousUsers) {
+        for (const change of this.detectChanges(user, previousUser)) {
+          results.changes.push({ uscreenUser: user, uscreenId, email, ...change });
+        }
+      }
       
-      // Try to match by Uscreen ID first, then by email
-      let sfRecord = this.sfByUscreenId.get(String(uscreenId));
-      if (!sfRecord && email) {
-        sfRecord = this.sfByEmail.get(email);
+      // Try to match by Uscreen ID first, then by email, then (optionally) name
+      const match = this.matchUser(user);
+      const paymentSummary = this.summarizePayments(email, uscreenId);
+
+      if (paymentSummary.reversals.length > 0) {
+        results.refunded.push({
+          uscreenUser: user,
+          uscreenId: uscreenId,
+          email: email,
+          sfRecord: match && !match.ambiguous ? match.sfRecord : null,
+          reversals: paymentSummary.reversals,
+          netPaid: paymentSummary.netPaid,
+          failedPayments: paymentSummary.failedPayments,
+          // The whole invoice history comes back every run - only a reversal the last snapshot didn't have is new
+          newThisRun: !previousReversals || paymentSummary.reversals.some(r =>
+            !previousReversals.has(reversalKey(`id:${uscreenId}`, r)) && !previousReversals.has(reversalKey(`email:${email}`, r)))
+        });
       }
 
-      if (sfRecord) {
+      const rejected = this.reviewStore && this.reviewStore.isRejected(uscreenId, email);
+
+      if ((!match || match.ambiguous) && rejected) {
+        results.noMatch.push({
+          uscreenUser: user,
+          uscreenId: uscreenId,
+          email: email,
+          reason: 'Rejected by reviewer'
+        });
+      } else if (match && match.ambiguous) {
+        results.ambiguous.push({
+          uscreenUser: user,
+          uscreenId: uscreenId,
+          email: email,
+          reason: match.reason,
+          candidates: match.candidates
+        });
+      } else if (match) {
         // Matched!
+        const sfRecord = match.sfRecord;
         const matchData = {
           uscreenUser: user,
           sfRecord: sfRecord,
           uscreenId: uscreenId,
-          email: email
+          email: email,
+          matchMethod: match.method,
+          confidence: match.confidence
         };
 
         results.matched.push(matchData);
 
-        // Check if cancelled
-        if (status === 'cancelled' || status === 'churned' || 
-            (user.Segment || '').toLowerCase().includes('churned')) {
-          results.cancelled.push({
-            ...matchData,
-            previousStatus: sfRecord.uscreenSubscriptionStatus,
-            newStatus: 'cancelled'
-          });
+        // Check status against SF - reported every run until SF is updated
+        const statusChange = this.compareStatus(user, sfRecord, previousUser);
+        if (statusChange) {
+          results[statusChange.category].push({ ...matchData, ...statusChange.change });
         }
 
         // Check if there's new payment data to update
-        const latestPayment = this.findLatestPayment(uscreenPayments, email, uscreenId);
+        const latestPayment = this.findLatestPayment(email, uscreenId, paymentSummary.reversed);
+        const planChange = latestPayment && this.comparePlan(latestPayment, sfRecord);
+        if (planChange) {
+          results.planMismatch.push({ ...matchData, latestPayment, ...planChange });
+        }
+
         if (latestPayment) {
-          const sfLastPaymentDate = sfRecord.uscreenLastPaymentDate ? 
+          const sfLastPaymentDate = sfRecord.uscreenLastPaymentDate ?
             new Date(sfRecord.uscreenLastPaymentDate) : null;
-          const uscreenPaymentDate = latestPayment.chargeDate ? 
-            new Date(latestPayment.chargeDate) : null;
+          const uscreenPaymentDate = latestPayment.chargeDate;
 
-          if (uscreenPaymentDate && (!sfLastPaymentDate || uscreenPaymentDate > sfLastPaymentDate)) {
+          // The SF field is a date only - a charge later on the same day isn't newer
+          if (uscreenPaymentDate && (!sfLastPaymentDate || calendarDay(uscreenPaymentDate) > calendarDay(sfLastPaymentDate))) {
             results.needsUpdate.push({
               ...matchData,
               latestPayment: latestPayment,
@@ -85,60 +273,315 @@ class DataComparer {
         }
       } else {
         // No SF match
-        // Only flag if they have paid (lifetime > 0)
-        if (lifetime > 0) {
+        // Only flag if they have paid (lifetime above the threshold) and not had it all refunded
+        const refundedAway = paymentSummary.reversals.length > 0 && paymentSummary.netPaid <= this.newUserMinLifetime;
+        if (lifetime > this.newUserMinLifetime && !refundedAway) {
           results.newUsers.push({
             uscreenUser: user,
             uscreenId: uscreenId,
             email: email,
             lifetime: lifetime,
-            status: status
+            status: status,
+            latestPayment: this.findLatestPayment(email, uscreenId, paymentSummary.reversed)
           });
         } else {
           results.noMatch.push({
             uscreenUser: user,
             uscreenId: uscreenId,
             email: email,
-            reason: 'No SF match, $0 lifetime'
+            reason: refundedAway ? `No SF match, net paid $${paymentSummary.netPaid} after refunds` : `No SF match, lifetime $${lifetime}`
           });
         }
       }
     }
 
+    this.reconcileSalesforce(uscreenUsers, sfData, results);
+
     return results;
   }
 
-  findLatestPayment(payments, email, uscreenId) {
-    // Filter payments by email or user ID
-    const userPayments = payments.filter(p => {
-      const pEmail = (p.email || p.Email || '').toLowerCase();
-      const pUserId = p['User ID'] || p.user_id || '';
-      const amount = parseFloat(p['Charge Amount'] || p.charge_amount || p.amount || 0);
-      
-      // Exclude $0 payments
-      if (amount <= 0) return false;
-      
-      return pEmail === email || String(pUserId) === String(uscreenId);
-    });
+  // Reverse pass over SF records - runs after every Uscreen user has been matched
+  reconcileSalesforce(uscreenUsers, sfData, results) {
+    const matchesBySfId = new Map();
+    for (const m of results.matched) {
+      if (!matchesBySfId.has(m.sfRecord.sfId)) matchesBySfId.set(m.sfRecord.sfId, []);
+      matchesBySfId.get(m.sfRecord.sfId).push(m);
+    }
+
+    // Ambiguous candidates aren't missing - a reviewer picks one of them
+    const candidateIds = new Set(results.ambiguous.flatMap(a => a.candidates.map(c => c.sfId)));
+    const exportedIds = new Set(uscreenUsers.filter(u => u.id).map(u => String(u.id)));
+
+    for (const sfRecord of sfData) {
+      const matches = matchesBySfId.get(sfRecord.sfId);
+
+      if (!matches) {
+        if (!sfRecord.uscreenMemberId || candidateIds.has(sfRecord.sfId)) continue;
+        const uscreenId = String(sfRecord.uscreenMemberId);
+        results.sfMissing.push({
+          sfRecord: sfRecord,
+          uscreenId: uscreenId,
+          email: sfRecord.contactEmail,
+          reason: exportedIds.has(uscreenId) ?
+            `Uscreen user ${uscreenId} is matched to another SF record` :
+            `Uscreen ID ${uscreenId} not in the Uscreen export`
+        });
+        continue;
+      }
+
+      // Several Uscreen users can share a record - it should be active if any of them is
+      const mapped = matches
+        .map(m => ({ match: m, expected: this.statusMapping.resolve(m.uscreenUser) }))
+        .filter(s => s.expected);
+      if (mapped.length === 0) continue;
+
+      const expectedActive = mapped.some(s => s.expected.active);
+      if (expectedActive === !!sfRecord.active) continue;
+
+      const { match, expected } = mapped.find(s => s.expected.active === expectedActive);
+      results.activeMismatch.push({
+        ...match,
+        uscreenStatus: expected.key,
+        sfStatus: sfRecord.uscreenSubscriptionStatus || '',
+        sfActive: !!sfRecord.active,
+        expectedActive: expectedActive
+      });
+    }
+  }
+
+  compareStatus(user, sfRecord, previousUser) {
+    const expected = this.statusMapping.resolve(user);
+    if (!expected) return null;
+
+    const current = this.statusMapping.resolveSalesforce(sfRecord);
+    if (current.key === expected.key && current.active === expected.active) return null;
 
-    if (userPayments.length === 0) return null;
+    // Still reported until SF agrees - history only says whether the Uscreen status just changed
+    const previous = previousUser && this.statusMapping.resolve(previousUser);
+    const newThisRun = !previous || previous.key !== expected.key;
+
+    // The SF picklist value decides when it's mapped, otherwise Active__c
+    const sfActive = current.key ? this.statusMapping.statuses[current.key].active : current.active;
+    let category = 'statusMismatch';
+    if (expected.active && !sfActive) category = 'reactivated';
+    if (!expected.active && sfActive) category = 'cancelled';
+
+    return {
+      category,
+      change: {
+        uscreenStatus: expected.key,
+        previousStatus: current.sfStatus,
+        newStatus: expected.sfStatus,
+        previousActive: current.active,
+        newActive: expected.active,
+        newThisRun: newThisRun
+      }
+    };
+  }
+
+  // Returns the SF values to suggest, or null when the plan is unmapped or SF already agrees
+  comparePlan(latestPayment, sfRecord) {
+    const plan = this.plans.get(normalizePlan(latestPayment.subscription));
+    if (!plan) return null;
+
+    const current = {
+      subscription: sfRecord.subscription || '',
+      installmentFrequency: sfRecord.installmentFrequency || '',
+      subscriptionCost: sfRecord.subscriptionCost ?? ''
+    };
+    const suggested = { ...current, subscription: plan.subscription, installmentFrequency: plan.installmentFrequency };
+
+    const differences = [];
+    if (normalizePlan(current.subscription) !== normalizePlan(plan.subscription)) {
+      differences.push(`plan ${current.subscription || '(none)'} → ${plan.subscription}`);
+    }
+    if (normalizePlan(current.installmentFrequency) !== normalizePlan(plan.installmentFrequency)) {
+      differences.push(`frequency ${current.installmentFrequency || '(none)'} → ${plan.installmentFrequency}`);
+    }
+    // A coupon charge says nothing about the price
+    if (!latestPayment.coupon && toCents(current.subscriptionCost) !== toCents(latestPayment.amount)) {
+      suggested.subscriptionCost = latestPayment.amount;
+      differences.push(`price ${current.subscriptionCost === '' ? '(none)' : `$${current.subscriptionCost}`} → $${latestPayment.amount}`);
+    }
+
+    if (differences.length === 0) return null;
+    return { current, suggested, differences };
+  }
+
+  indexPreviousUsers(previousRun) {
+    if (!previousRun) return null;
+
+    const byKey = new Map();
+    for (const u of previousRun.users || []) {
+      if (u.id) byKey.set(`id:${u.id}`, u);
+      if (u.email) byKey.set(`email:${u.email}`, u);
+    }
+    return byKey;
+  }
+
+  // Refund and chargeback rows of the previous run, keyed by payer
+  indexPreviousReversals(previousRun) {
+    if (!previousRun) return null;
+
+    const keys = new Set();
+    for (const p of previousRun.payments || []) {
+      const kind = classifyPayment(p);
+      if (kind !== 'refund' && kind !== 'chargeback') continue;
+      const reversal = { kind, amount: Math.abs(p.amount), date: p.chargeDate };
+      if (p.userId) keys.add(reversalKey(`id:${p.userId}`, reversal));
+      if (p.email) keys.add(reversalKey(`email:${p.email}`, reversal));
+    }
+    return keys;
+  }
+
+  detectChanges(user, previousUser) {
+    if (!previousUser) {
+      return [{ change: 'newly appeared', previous: '', current: user.status }];
+    }
+
+    const changes = [];
+    const before = this.statusMapping.resolve(previousUser);
+    const after = this.statusMapping.resolve(user);
+    if (previousUser.status !== user.status || (before && after && before.key !== after.key)) {
+      let change = 'status changed';
+      if (after && !after.active && (!before || before.active)) change = `newly ${after.key}`;
+      if (after && after.active && before && !before.active) change = 'reactivated';
+      changes.push({ change, previous: previousUser.status, current: user.status });
+    }
+    if (previousUser.lifetime <= this.newUserMinLifetime && user.lifetime > this.newUserMinLifetime) {
+      changes.push({ change: 'newly paid', previous: previousUser.lifetime, current: user.lifetime });
+    }
+    return changes;
+  }
+
+  addToIndex(map, key, sf) {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(sf);
+  }
+
+  matchUser(user) {
+    // A reviewer's manual link beats everything else
+    const linkedSfId = this.manualLinks.get(user.id ? String(user.id) : `email:${user.email}`);
+    if (linkedSfId && this.sfById.has(linkedSfId)) {
+      return this.matched(this.sfById.get(linkedSfId), 'manual link');
+    }
+
+    const idCandidates = (user.id && this.sfByUscreenId.get(String(user.id))) || [];
+
+    let emailMethod = 'email';
+    let emailCandidates = (user.email && this.sfByEmail.get(user.email)) || [];
+    if (emailCandidates.length === 0 && user.email) {
+      emailMethod = 'normalized email';
+      emailCandidates = this.sfByNormalizedEmail.get(normalizeEmail(user.email)) || [];
+    }
+
+    // Uscreen ID match - the email must not point somewhere else
+    if (idCandidates.length > 1) {
+      return this.ambiguous(`Uscreen ID matches ${idCandidates.length} SF records`, idCandidates);
+    }
+    if (idCandidates.length === 1) {
+      const sfRecord = idCandidates[0];
+      if (emailCandidates.length > 0 && !emailCandidates.includes(sfRecord)) {
+        return this.ambiguous('Uscreen ID and email match different SF records', [sfRecord, ...emailCandidates]);
+      }
+      return this.matched(sfRecord, emailCandidates.length > 0 ? 'uscreen id + email' : 'uscreen id');
+    }
+
+    // Fallbacks - only unambiguous candidates not already linked to another Uscreen user
+    const fallbacks = [[emailMethod, emailCandidates]];
+    if (this.matchByName && user.name) {
+      fallbacks.push(['name', this.sfByName.get(normalizeName(user.name)) || []]);
+    }
+
+    for (const [method, candidates] of fallbacks) {
+      if (candidates.length === 0) continue;
+      const label = method.charAt(0).toUpperCase() + method.slice(1);
+      if (candidates.length > 1) {
+        return this.ambiguous(`${label} matches ${candidates.length} SF records`, candidates);
+      }
+      const sfRecord = candidates[0];
+      if (user.id && sfRecord.uscreenMemberId && String(sfRecord.uscreenMemberId) !== String(user.id)) {
+        return this.ambiguous(`${label} matches SF record linked to Uscreen ID ${sfRecord.uscreenMemberId}`, candidates);
+      }
+      return this.matched(sfRecord, method);
+    }
+
+    return null;
+  }
+
+  // Manual links whose SF record wasn't fetched (deleted, or not readable) - matching ignores them
+  unresolvedLinks() {
+    return Array.from(this.manualLinks.entries())
+      .filter(([, sfId]) => !this.sfById.has(sfId))
+      .map(([key, sfId]) => ({ user: key.replace(/^email:/, ''), sfId }));
+  }
+
+  matched(sfRecord, method) {
+    return { sfRecord, method, confidence: MATCH_CONFIDENCE[method] };
+  }
+
+  ambiguous(reason, candidates) {
+    return { ambiguous: true, reason, candidates };
+  }
+
+  indexPayments(payments) {
+    for (const p of payments) {
+      if (p.email) this.addToIndex(this.paymentsByEmail, p.email, p);
+      if (p.userId) this.addToIndex(this.paymentsByUserId, p.userId, p);
+    }
+
+    // Sort each user's payments by date descending, once
+    const byDateDesc = (a, b) => (b.chargeDate || 0) - (a.chargeDate || 0);
+    for (const index of [this.paymentsByEmail, this.paymentsByUserId]) {
+      for (const list of index.values()) list.sort(byDateDesc);
+    }
+  }
+
+  getUserPayments(email, uscreenId) {
+    const byEmail = (email && this.paymentsByEmail.get(email)) || [];
+    const byId = (uscreenId && this.paymentsByUserId.get(String(uscreenId))) || [];
+    if (byId.length === 0) return byEmail;
+    if (byEmail.length === 0) return byId;
+
+    // A payment can carry both the email and the User ID - count it once
+    const merged = Array.from(new Set([...byEmail, ...byId]));
+    return merged.sort((a, b) => (b.chargeDate || 0) - (a.chargeDate || 0));
+  }
+
+  // Pairs each refund/chargeback with the charge it reverses and totals what the user actually paid
+  summarizePayments(email, uscreenId) {
+    const payments = this.getUserPayments(email, uscreenId);
+    const { reversals, refundedByCharge, reversed, unpaired } = pairReversals(payments);
+    const charged = payments.filter(p => classifyPayment(p) === 'charge').reduce((sum, p) => sum + p.amount, 0);
+    const refunded = [...refundedByCharge.values(), ...unpaired.map(p => -p.amount)].reduce((sum, amount) => sum + amount, 0);
+
+    return {
+      reversals,
+      reversed,
+      failedPayments: payments.filter(p => classifyPayment(p) === 'failed').length,
+      netPaid: Math.round((charged - refunded) * 100) / 100
+    };
+  }
 
-    // Sort by date descending and return most recent
-    userPayments.sort((a, b) => {
-      const dateA = new Date(a['Charge Date'] || a.charge_date || 0);
-      const dateB = new Date(b['Charge Date'] || b.charge_date || 0);
-      return dateB - dateA;
-    });
+  findLatestPayment(email, uscreenId, reversed = this.summarizePayments(email, uscreenId).reversed) {
+    // Most recent settled charge, excluding $0 (or below-threshold), failed and reversed payments
+    const latest = this.getUserPayments(email, uscreenId)
+      .find(p => classifyPayment(p) === 'charge' && p.amount > this.minPaymentAmount && !reversed.has(p));
+    if (!latest) return null;
 
-    const latest = userPayments[0];
     return {
-      email: latest.email || latest.Email,
-      amount: parseFloat(latest['Charge Amount'] || latest.charge_amount || latest.amount || 0),
-      chargeDate: latest['Charge Date'] || latest.charge_date,
-      subscription: latest.Subscription || latest.subscription,
-      paymentId: latest['Payment ID'] || latest.payment_id
+      email: latest.email,
+      amount: latest.amount,
+      chargeDate: latest.chargeDate,
+      subscription: latest.subscription,
+      coupon: latest.coupon,
+      paymentId: latest.paymentId
     };
   }
 }
 
 module.exports = DataComparer;
+module.exports.normalizeEmail = normalizeEmail;
+module.exports.classifyPayment = classifyPayment;
+module.exports.pairReversals = pairReversals;
@@ -0,0 +1,110 @@
+/**
+ * File Outputs
+ * Local report writers with the same interface as GoogleSheetsClient
+ * (writeResults(data)), built from the same report tables:
+ * - CsvOutput:  one CSV file per tab
+ * - JsonOutput: one JSON document with every tab
+ * - XlsxOutput: one workbook with the same tab layout
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { buildTables } = require('./report-tables');
+const { formatColumns } = require('./sheet-format');
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class CsvOutput {
+  constructor(config) {
+    this.dir = config.dir;
+    this.layout = config.layout;
+  }
+
+  async writeResults(data) {
+    ensureDir(this.dir);
+    const tables = buildTables(data, new Date().toISOString(), this.layout);
+
+    for (const table of tables) {
+      const lines = [table.headers, ...table.rows].map(row => row.map(csvCell).join(','));
+      const filePath = path.join(this.dir, `${slugify(table.name)}.csv`);
+      fs.writeFileSync(filePath, lines.join('\n') + '\n');
+      console.log(`   📝 Wrote ${table.rows.length} rows to ${filePath}`);
+    }
+  }
+}
+
+class JsonOutput {
+  constructor(config) {
+    this.dir = config.dir;
+    this.layout = config.layout;
+  }
+
+  async writeResults(data) {
+    ensureDir(this.dir);
+    const generatedAt = new Date().toISOString();
+    const tables = buildTables(data, generatedAt, this.layout);
+
+    // Rows as objects keyed by column header
+    const document = { generatedAt, tabs: {} };
+    for (const table of tables) {
+      document.tabs[table.name] = table.rows.map(row =>
+        Object.fromEntries(table.headers.map((h, i) => [h, row[i] ?? '']))
+      );
+    }
+
+    const filePath = path.join(this.dir, 'sync-results.json');
+    fs.writeFileSync(filePath, JSON.stringify(document, null, 2));
+    console.log(`   📝 Wrote ${tables.length} tabs to ${filePath}`);
+  }
+}
+
+class XlsxOutput {
+  constructor(config) {
+    this.dir = config.dir;
+    this.layout = config.layout;
+  }
+
+  async writeResults(data) {
+    ensureDir(this.dir);
+    const tables = buildTables(data, new Date().toISOString(), this.layout);
+    const workbook = new ExcelJS.Workbook();
+
+    for (const table of tables) {
+      const sheet = workbook.addWorksheet(table.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+      sheet.addRow(table.headers).font = { bold: true };
+
+      // Date columns hold YYYY-MM-DD text - store real dates so Excel can sort them
+      const dateColumns = formatColumns(table.key, 'date', table.headers);
+      for (const row of table.rows) {
+        sheet.addRow(row.map((value, i) =>
+          dateColumns.includes(i) && /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : value
+        ));
+      }
+
+      for (const i of dateColumns) sheet.getColumn(i + 1).numFmt = 'yyyy-mm-dd';
+      for (const i of formatColumns(table.key, 'currency', table.headers)) sheet.getColumn(i + 1).numFmt = '"$"#,##0.00';
+      for (const i of formatColumns(table.key, 'percent', table.headers)) sheet.getColumn(i + 1).numFmt = '0.0%';
+      sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: table.headers.length } };
+    }
+
+    const filePath = path.join(this.dir, 'sync-results.xlsx');
+    await workbook.xlsx.writeFile(filePath);
+    console.log(`   📝 Wrote ${tables.length} tabs to ${filePath}`);
+  }
+}
+
+module.exports = { CsvOutput, JsonOutput, XlsxOutput };
@@ -2,91 +2,264 @@
  * Uscreen + Salesforce Sync Script
  * 
  * Weekly automation that:
- * 1. Scrapes Uscreen exports (People + Payments)
+ * 1. Scrapes Uscreen exports (People + Payments), or loads local CSVs
  * 2. Pulls current data from Salesforce
  * 3. Compares and identifies changes
- * 4. Writes results to Google Sheets
+ * 4. Applies updates back to Salesforce (--apply)
+ * 5. Writes results to Google Sheets and/or local CSV, JSON or XLSX reports
+ *
+ * Usage: node src/index.js [sync|scrape|pull-sf|compare|apply|publish] [flags]
+ * Each step saves a JSON artifact in runs/<runId>/ so it can be rerun on its own.
  */
 
 require('dotenv').config();
 
-const UscreenScraper = require('./uscreen-scraper');
-const SalesforceClient = require('./salesforce-client');
+const path = require('path');
 const GoogleSheetsClient = require('./sheets-client');
-const DataComparer = require('./data-comparer');
+const RunMetrics = require('./run-metrics');
+const RunArtifacts = require('./run-artifacts');
+const SyncPipeline = require('./sync-pipeline');
+const Notifier = require('./notifier');
+const { loadSyncConfig, toLayout } = require('./sync-config');
 
+const OUTPUT_TYPES = ['sheets', 'csv', 'json', 'xlsx'];
+
+// A successful run is only announced once its results are out - failures of any step always are
+const NOTIFY_COMMANDS = ['sync', 'publish'];
+
+// Credentials and switches from env - names, URLs and rules come from sync.config.json
 const CONFIG = {
+  configPath: process.env.SYNC_CONFIG_PATH,
   uscreen: {
-    loginUrl: 'https://app.uscreen.tv',
     email: process.env.USCREEN_EMAIL,
-    password: process.env.USCREEN_PASSWORD
+    password: process.env.USCREEN_PASSWORD,
+    // scraper | api - overrides uscreen.source in sync.config.json
+    source: process.env.USCREEN_SOURCE,
+    apiKey: process.env.USCREEN_API_KEY,
+    diagnosticsDir: process.env.USCREEN_DIAGNOSTICS_DIR,
+    downloadDir: process.env.USCREEN_DOWNLOAD_DIR
   },
   salesforce: {
     loginUrl: process.env.SF_LOGIN_URL || 'https://login.salesforce.com',
+    // password | jwt | client_credentials | refresh_token
+    authMethod: process.env.SF_AUTH_METHOD || 'password',
     clientId: process.env.SF_CLIENT_ID,
     clientSecret: process.env.SF_CLIENT_SECRET,
     username: process.env.SF_USERNAME,
     password: process.env.SF_PASSWORD,
-    securityToken: process.env.SF_SECURITY_TOKEN
+    securityToken: process.env.SF_SECURITY_TOKEN,
+    privateKey: process.env.SF_PRIVATE_KEY,
+    privateKeyPath: process.env.SF_PRIVATE_KEY_PATH,
+    audience: process.env.SF_JWT_AUDIENCE,
+    refreshToken: process.env.SF_REFRESH_TOKEN,
+    // Overrides salesforce.where in sync.config.json; empty = all records (email-only matching)
+    where: process.env.SF_PROGRAM_ROLES_WHERE,
+    useBulkApi: process.env.SF_USE_BULK_API === 'true'
+  },
+  history: {
+    dir: process.env.SYNC_HISTORY_DIR,
+    retention: parseInt(process.env.SYNC_HISTORY_RETENTION, 10) || undefined
   },
   sheets: {
     spreadsheetId: process.env.GOOGLE_SHEET_ID,
-    credentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || './credentials.json'
-  }
+    credentialsPath: process.env.GOOGLE_CREDENTIALS_PATH || './credentials.json',
+    writeMode: process.env.SHEETS_WRITE_MODE || 'upsert'
+  },
+  notify: {
+    // always | failure | never
+    on: process.env.NOTIFY_ON || 'always',
+    webhookUrl: process.env.NOTIFY_WEBHOOK_URL,
+    smtp: {
+      host: process.env.NOTIFY_SMTP_HOST,
+      port: parseInt(process.env.NOTIFY_SMTP_PORT, 10) || 587,
+      secure: process.env.NOTIFY_SMTP_SECURE === 'true',
+      user: process.env.NOTIFY_SMTP_USER,
+      pass: process.env.NOTIFY_SMTP_PASSWORD
+    },
+    emailFrom: process.env.NOTIFY_EMAIL_FROM || process.env.NOTIFY_SMTP_USER,
+    emailTo: process.env.NOTIFY_EMAIL_TO,
+    sheetUrl: process.env.GOOGLE_SHEET_ID ? `https://docs.google.com/spreadsheets/d/${process.env.GOOGLE_SHEET_ID}` : null,
+    templates: {
+      success: process.env.NOTIFY_SUCCESS_TEMPLATE_PATH,
+      failure: process.env.NOTIFY_FAILURE_TEMPLATE_PATH
+    }
+  },
+  runs: {
+    dir: process.env.SYNC_RUNS_DIR,
+    retention: parseInt(process.env.SYNC_RUNS_RETENTION, 10) || undefined
+  },
+  output: {
+    // Comma list of sheets, csv, json, xlsx - overridden by --output
+    types: process.env.SYNC_OUTPUT,
+    dir: process.env.SYNC_OUTPUT_DIR || './reports'
+  },
+  // Set by npm run sandbox / npm test - Salesforce and Sheets state files live here
+  sandboxDir: process.env.SYNC_SANDBOX_DIR
 };
 
+// Reads `--name value` or `--name=value` from the command line
+function getArgValue(name) {
+  const args = process.argv.slice(2);
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === name) return args[i + 1];
+    if (args[i].startsWith(`${name}=`)) return args[i].slice(name.length + 1);
+  }
+  return undefined;
+}
+
+// sync.config.json fills in names and rules - env vars still win where both exist
+function applySyncConfig(syncConfig) {
+  CONFIG.uscreen = { ...syncConfig.uscreen, ...CONFIG.uscreen, source: CONFIG.uscreen.source || syncConfig.uscreen.source };
+  if (!['scraper', 'api'].includes(CONFIG.uscreen.source)) {
+    throw new Error(`Unknown USCREEN_SOURCE "${CONFIG.uscreen.source}" (use scraper or api)`);
+  }
+  CONFIG.salesforce.object = syncConfig.salesforce.object;
+  CONFIG.salesforce.fields = syncConfig.salesforce.fields;
+  CONFIG.salesforce.where = CONFIG.salesforce.where ?? syncConfig.salesforce.where;
+  CONFIG.sheets.layout = toLayout(syncConfig);
+  CONFIG.rules = syncConfig.rules;
+  CONFIG.plans = syncConfig.plans || {};
+
+  // The mapping used to come from its own file - don't silently drop it
+  if (process.env.STATUS_MAPPING_PATH) {
+    throw new Error('STATUS_MAPPING_PATH is no longer read - move its "statuses" and "segments" into sync.config.json');
+  }
+  CONFIG.statusMapping = { statuses: syncConfig.statuses, segments: syncConfig.segments };
+}
+
+// Sandbox runs swap the Salesforce connection and Sheets API for local stand-ins
+function applySandbox() {
+  if (!CONFIG.sandboxDir) return;
+
+  const MemorySalesforce = require('../sandbox/memory-salesforce');
+  const FakeSheetsApi = require('../sandbox/fake-sheets-api');
+  CONFIG.salesforce.connection = new MemorySalesforce(path.join(CONFIG.sandboxDir, 'salesforce.json'));
+  CONFIG.sheets.api = new FakeSheetsApi(path.join(CONFIG.sandboxDir, 'sheets.json'));
+  console.log(`   🧪 Sandbox: in-memory Salesforce and Sheets (${CONFIG.sandboxDir})`);
+}
+
+// Dry runs never touch Google Sheets, so they default to a local CSV report
+function getOutputTypes(isDryRun) {
+  const requested = getArgValue('--output') || CONFIG.output.types || (isDryRun ? 'csv' : 'sheets');
+  const types = requested.split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+
+  const unknown = types.filter(t => !OUTPUT_TYPES.includes(t));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output type(s): ${unknown.join(', ')} (use ${OUTPUT_TYPES.join(', ')})`);
+  }
+
+  if (isDryRun && types.includes('sheets')) {
+    console.log('   ⚠️  Dry run - skipping Google Sheets output');
+  }
+  return types.filter(t => !(isDryRun && t === 'sheets'));
+}
+
+// The first non-flag argument picks the step - 'sync' runs them all
+function getCommand() {
+  const first = process.argv[2];
+  return first && !first.startsWith('-') ? first : 'sync';
+}
+
+// A new run for sync/scrape; other steps continue the latest run unless --run is given
+function getRunId(command, artifacts) {
+  const requested = getArgValue('--run');
+  if (requested) return requested;
+  if (command === 'sync' || command === 'scrape') return newRunId();
+  return artifacts.latestRunId() || newRunId();
+}
+
+// Without --run, "apply" picks up the newest run however old it is - only
+// apply a comparison made today, so last week's results never reach SF by accident
+function checkRunAge(command, runId, artifacts) {
+  if (command !== 'apply' || getArgValue('--run')) return;
+
+  const savedAt = artifacts.savedAt(runId, 'compare');
+  const comparedOn = savedAt && savedAt.toISOString().split('T')[0];
+  if (comparedOn && comparedOn < new Date().toISOString().split('T')[0]) {
+    throw new Error(`The latest run (${runId}) was compared on ${comparedOn}, not today - run "npm run sync" (or the scrape, pull-sf and compare steps) first, or pass --run ${runId} to apply it anyway`);
+  }
+}
+
+function newRunId() {
+  return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
 async function main() {
+  const command = getCommand();
   const isDryRun = process.argv.includes('--dry-run');
-  console.log(`\n🚀 Starting Uscreen + Salesforce Sync ${isDryRun ? '(DRY RUN)' : ''}\n`);
+  const isApply = process.argv.includes('--apply');
+  const artifacts = new RunArtifacts(CONFIG.runs);
+  const runId = getRunId(command, artifacts);
+  const mode = isDryRun ? '(DRY RUN)' : isApply ? '(APPLY)' : '';
+  const label = command === 'sync' ? 'Sync' : `Step "${command}"`;
+  console.log(`\n🚀 Starting Uscreen + Salesforce ${label} ${mode}\n`);
   console.log('=' .repeat(50));
+  console.log(`   📁 Run: ${runId}`);
+
+  const metrics = new RunMetrics(runId, isDryRun ? 'dry-run' : command === 'sync' ? (isApply ? 'apply' : 'sync') : command);
+  const notifier = new Notifier(CONFIG.notify);
+  let sheets = null;
+  let pipeline = null;
 
   try {
-    // Step 1: Scrape Uscreen data
-    console.log('\n📥 Step 1: Scraping Uscreen exports...');
-    const uscreen = new UscreenScraper(CONFIG.uscreen);
-    const uscreenData = await uscreen.scrapeAll();
-    console.log(`   ✅ Users: ${uscreenData.users.length} records`);
-    console.log(`   ✅ Payments: ${uscreenData.payments.length} records`);
-
-    // Step 2: Pull Salesforce data
-    console.log('\n📥 Step 2: Pulling Salesforce Program Roles...');
-    const salesforce = new SalesforceClient(CONFIG.salesforce);
-    const sfData = await salesforce.getProgramRoles();
-    console.log(`   ✅ SF Records: ${sfData.length} records`);
-
-    // Step 3: Compare data
-    console.log('\n🔍 Step 3: Comparing data...');
-    const comparer = new DataComparer();
-    const comparison = comparer.compare(uscreenData, sfData);
-    console.log(`   ✅ Matched: ${comparison.matched.length}`);
-    console.log(`   ⚠️  New payments to update: ${comparison.needsUpdate.length}`);
-    console.log(`   🆕 New Uscreen users (no SF match): ${comparison.newUsers.length}`);
-    console.log(`   🔴 Cancelled: ${comparison.cancelled.length}`);
-
-    // Step 4: Write to Google Sheets
-    if (!isDryRun) {
-      console.log('\n📤 Step 4: Writing to Google Sheets...');
-      const sheets = new GoogleSheetsClient(CONFIG.sheets);
-      await sheets.writeResults({
-        uscreenUsers: uscreenData.users,
-        uscreenPayments: uscreenData.payments,
-        sfData: sfData,
-        comparison: comparison
-      });
-      console.log('   ✅ Google Sheets updated!');
-    } else {
-      console.log('\n📤 Step 4: (Skipped - Dry Run)');
+    applySyncConfig(loadSyncConfig(CONFIG.configPath));
+    applySandbox();
+    sheets = new GoogleSheetsClient(CONFIG.sheets);
+
+    if (!SyncPipeline.COMMANDS.includes(command)) {
+      throw new Error(`Unknown command "${command}" (use ${SyncPipeline.COMMANDS.join(', ')})`);
+    }
+    checkRunAge(command, runId, artifacts);
+
+    const outputTypes = getOutputTypes(isDryRun);
+    pipeline = new SyncPipeline(CONFIG, {
+      runId: runId,
+      metrics: metrics,
+      sheets: sheets,
+      artifacts: artifacts,
+      isDryRun: isDryRun,
+      isApply: isApply,
+      matchByName: process.argv.includes('--match-by-name'),
+      localInput: {
+        usersCsv: getArgValue('--users-csv'),
+        paymentsCsv: getArgValue('--payments-csv'),
+        fromDir: getArgValue('--from-dir')
+      },
+      outputTypes: outputTypes,
+      outputDir: path.join(getArgValue('--output-dir') || CONFIG.output.dir, runId)
+    });
+    await pipeline.run(command);
+
+    metrics.finish();
+    await logRun(sheets, metrics);
+    if (NOTIFY_COMMANDS.includes(command)) {
+      await notifier.notify({ metrics, comparison: pipeline.comparison });
     }
 
     console.log('\n' + '=' .repeat(50));
-    console.log('✅ Sync completed successfully!');
+    console.log(`✅ ${label} completed successfully!`);
     console.log('=' .repeat(50) + '\n');
 
   } catch (error) {
-    console.error('\n❌ Sync failed:', error.message);
+    console.error(`\n❌ ${label} failed:`, error.message);
     console.error(error.stack);
+    metrics.finish(error);
+    await logRun(sheets, metrics);
+    await notifier.notify({ metrics, comparison: pipeline && pipeline.comparison, error });
     process.exit(1);
   }
 }
 
+// Appends the run to the Sync Log tab - never fails the run itself
+async function logRun(sheets, metrics) {
+  if (!sheets || !CONFIG.sheets.spreadsheetId) return;
+
+  try {
+    console.log('\n📊 Logging run to Sync Log...');
+    await sheets.appendSyncLog(RunMetrics.HEADERS, metrics.toRow());
+  } catch (e) {
+    console.warn(`   ⚠️ Could not write Sync Log: ${e.message}`);
+  }
+}
+
 main();
@@ -0,0 +1,200 @@
+/**
+ * Notifier
+ * Sends a run summary (or the failure message and stack) after each sync
+ * to an SMTP server and/or a Slack-compatible webhook
+ */
+
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+
+const TOP_ITEMS = 5;
+// A webhook that never answers shouldn't hold the run open
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// {{placeholders}} are filled from the run - override with NOTIFY_*_TEMPLATE_PATH
+const DEFAULT_TEMPLATES = {
+  success: [
+    '✅ Uscreen + Salesforce sync ({{mode}}) finished in {{duration}}s',
+    '',
+    '{{counts}}',
+    '',
+    '{{topItems}}',
+    '',
+    'Sheet: {{sheetUrl}}'
+  ].join('\n'),
+  failure: [
+    '❌ Uscreen + Salesforce sync ({{mode}}) failed after {{duration}}s',
+    '',
+    'Run: {{runId}}',
+    'Error: {{error}}',
+    '',
+    '{{stack}}',
+    '',
+    'Sheet: {{sheetUrl}}'
+  ].join('\n')
+};
+
+// Summary line label -> RunMetrics count key
+const COUNT_LABELS = [
+  ['Uscreen users', 'users'],
+  ['Payments', 'payments'],
+  ['SF records', 'sfRecords'],
+  ['Matched', 'matched'],
+  ['Needs update', 'needsUpdate'],
+  ['New users (review)', 'newUsers'],
+  ['Cancelled', 'cancelled'],
+  ['Reactivated', 'reactivated'],
+  ['Status mismatches', 'statusMismatch'],
+  ['Plan mismatches', 'planMismatch'],
+  ['Refunds & disputes', 'refunded'],
+  ['Missing from Uscreen', 'sfMissing'],
+  ['Active__c mismatches', 'activeMismatch'],
+  ['Ambiguous', 'ambiguous'],
+  ['SF writes OK', 'sfWritesOk'],
+  ['SF writes failed', 'sfWritesFailed']
+];
+
+// Comparison categories listed under "top items", with how to describe each row
+const TOP_ITEM_SECTIONS = [
+  ['New users waiting for review', 'newUsers', u => `${u.uscreenUser.name || '(no name)'} <${u.email}> - $${u.lifetime} lifetime`],
+  ['Cancelled', 'cancelled', u => `${u.uscreenUser.name || '(no name)'} <${u.email}> - ${u.previousStatus || '(none)'} → ${u.newStatus}`],
+  ['Needs update', 'needsUpdate', u => `${u.email} - paid ${u.uscreenLastPaymentDate.toISOString().split('T')[0]}`],
+  ['Ambiguous matches', 'ambiguous', u => `${u.email} - ${u.reason}`],
+  ['Refunds and chargebacks', 'refunded', u => `${u.email} - ${u.reversals.map(r => `${r.kind} ${r.paymentId}`).join(', ')}`]
+];
+
+function render(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+class Notifier {
+  constructor(config) {
+    this.config = config;
+  }
+
+  get channels() {
+    const channels = [];
+    if (this.config.webhookUrl) channels.push('webhook');
+    if (this.config.smtp && this.config.smtp.host && this.config.emailTo) channels.push('email');
+    return channels;
+  }
+
+  shouldNotify(failed) {
+    // always | failure | never
+    const when = this.config.on || 'always';
+    if (when === 'never') return false;
+    if (when === 'failure') return failed;
+    return true;
+  }
+
+  async notify({ metrics, comparison, error }) {
+    const failed = Boolean(error);
+    if (this.channels.length === 0 || !this.shouldNotify(failed)) return;
+
+    console.log(`\n📣 Sending ${failed ? 'failure' : 'completion'} notification (${this.channels.join(', ')})...`);
+    let message;
+    try {
+      message = this.buildMessage({ metrics, comparison, error });
+    } catch (e) {
+      console.warn(`   ⚠️ Could not build notification: ${e.message}`);
+      return;
+    }
+
+    // One broken channel shouldn't stop the other - and never fails the run
+    for (const channel of this.channels) {
+      try {
+        if (channel === 'webhook') await this.sendWebhook(message);
+        if (channel === 'email') await this.sendEmail(message);
+        console.log(`   ✅ Sent via ${channel}`);
+      } catch (e) {
+        console.warn(`   ⚠️ Could not send ${channel} notification: ${e.message}`);
+      }
+    }
+  }
+
+  buildMessage({ metrics, comparison, error }) {
+    const failed = Boolean(error);
+    const duration = metrics.finishedAt ? (metrics.finishedAt - metrics.startedAt) / 1000 : '';
+    const values = {
+      status: failed ? 'FAILED' : 'SUCCESS',
+      runId: metrics.runId,
+      mode: metrics.mode,
+      duration: duration,
+      counts: this.formatCounts(metrics.counts),
+      topItems: comparison ? this.formatTopItems(comparison) : '',
+      sheetUrl: this.config.sheetUrl || '(not configured)',
+      error: failed ? error.message : '',
+      stack: failed ? (error.stack || '') : ''
+    };
+
+    const body = render(this.loadTemplate(failed ? 'failure' : 'success'), values).trim();
+    const subject = failed ?
+      `Uscreen sync FAILED (${metrics.mode}): ${values.error}` :
+      `Uscreen sync finished (${metrics.mode}): ${metrics.counts.newUsers || 0} new users to review`;
+
+    return { subject, body, failed };
+  }
+
+  loadTemplate(kind) {
+    const templatePath = this.config.templates && this.config.templates[kind];
+    if (!templatePath) return DEFAULT_TEMPLATES[kind];
+
+    if (!fs.existsSync(templatePath)) {
+      throw new Error(`Notification template not found: ${templatePath}`);
+    }
+    return fs.readFileSync(templatePath, 'utf-8');
+  }
+
+  formatCounts(counts) {
+    return COUNT_LABELS
+      .filter(([, key]) => counts[key] !== undefined)
+      .map(([label, key]) => `${label}: ${counts[key]}`)
+      .join('\n');
+  }
+
+  formatTopItems(comparison) {
+    const sections = [];
+    for (const [title, key, describe] of TOP_ITEM_SECTIONS) {
+      const items = comparison[key] || [];
+      if (items.length === 0) continue;
+
+      const lines = items.slice(0, TOP_ITEMS).map(item => `• ${describe(item)}`);
+      if (items.length > TOP_ITEMS) lines.push(`…and ${items.length - TOP_ITEMS} more`);
+      sections.push(`${title} (${items.length}):\n${lines.join('\n')}`);
+    }
+    return sections.join('\n\n');
+  }
+
+  async sendWebhook(message) {
+    // Slack incoming-webhook shape - most chat tools accept { text }
+    const response = await fetch(this.config.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: `*${message.subject}*\n${message.body}` }),
+      signal: AbortSignal.timeout(this.config.webhookTimeoutMs || WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook returned ${response.status}`);
+    }
+  }
+
+  async sendEmail(message) {
+    const smtp = this.config.smtp;
+    const transport = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined
+    });
+
+    await transport.sendMail({
+      from: this.config.emailFrom,
+      to: this.config.emailTo,
+      subject: message.subject,
+      text: message.body
+    });
+  }
+}
+
+module.exports = Notifier;
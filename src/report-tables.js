@@ -0,0 +1,356 @@
+/**
+ * Report Tables
+ * Turns sync results into named tables (headers + rows), one per tab.
+ * Every output - Google Sheets, CSV, JSON, XLSX - writes these same tables.
+ * Tab names, column subsets and the payment threshold come from the
+ * layout in sync.config.json: { tabs, columns, minPaymentAmount }.
+ */
+
+const RevenueMetrics = require('./revenue-metrics');
+const { classifyPayment } = require('./data-comparer');
+
+// Reviewer-editable column on the review tabs, read back on the next run
+const DECISION_HEADER = 'Decision (approve / reject / SF ID)';
+
+function formatDate(date) {
+  return date ? date.toISOString().split('T')[0] : '';
+}
+
+function formatMatch(r) {
+  return `${r.matchMethod} (${Math.round(r.confidence * 100)}%)`;
+}
+
+function uscreenUsersTable(users, timestamp) {
+  const headers = ['User ID', 'Name', 'Email', 'Status', 'Lifetime', 'Segment', 'Created Date', 'Sync Time'];
+  const rows = users.map(u => [
+    u.id,
+    u.name,
+    u.email,
+    u.status,
+    u.lifetime,
+    u.segment,
+    u.createdDate,
+    timestamp
+  ]);
+
+  return { key: 'uscreenUsers', headers, rows };
+}
+
+function uscreenPaymentsTable(payments, minPaymentAmount, timestamp) {
+  const headers = ['Email', 'Name', 'Charge Date', 'Amount', 'Type', 'Subscription', 'Coupon', 'Payment ID', 'Sync Time'];
+
+  // Filter out $0 (or below-threshold) charges - refunds, chargebacks and failures stay visible
+  const listed = payments.filter(p => classifyPayment(p) !== 'charge' || p.amount > minPaymentAmount);
+
+  const rows = listed.map(p => [
+    p.email,
+    p.name,
+    formatDate(p.chargeDate),
+    p.amount,
+    classifyPayment(p),
+    p.subscription,
+    p.coupon,
+    p.paymentId,
+    timestamp
+  ]);
+
+  return { key: 'uscreenPayments', headers, rows };
+}
+
+function sfDataTable(sfData, timestamp) {
+  const headers = ['SF ID', 'Name', 'Contact Email', 'Uscreen ID', 'Active', 'Subscription Status', 'Last Payment Date', 'Sync Time'];
+  const rows = sfData.map(r => [
+    r.sfId,
+    r.name,
+    r.contactEmail,
+    r.uscreenMemberId,
+    r.active ? 'Yes' : 'No',
+    r.uscreenSubscriptionStatus || '',
+    r.uscreenLastPaymentDate || '',
+    timestamp
+  ]);
+
+  return { key: 'sfData', headers, rows };
+}
+
+function needsUpdateTable(needsUpdate, timestamp) {
+  const headers = ['SF ID', 'Uscreen ID', 'Email', 'Match', 'SF Last Payment', 'New Payment Date', 'New Payment Amount', 'Action', 'Sync Time'];
+  const rows = needsUpdate.map(r => [
+    r.sfRecord.sfId,
+    r.uscreenId,
+    r.email,
+    formatMatch(r),
+    formatDate(r.sfLastPaymentDate),
+    formatDate(r.uscreenLastPaymentDate),
+    r.latestPayment?.amount || '',
+    'UPDATE SF',
+    timestamp
+  ]);
+
+  return { key: 'needsUpdate', headers, rows, upsert: { keyColumns: ['SF ID'] } };
+}
+
+function newUsersTable(newUsers, timestamp) {
+  const headers = ['Uscreen ID', 'Email', 'Name', 'Status', 'Lifetime Amount', DECISION_HEADER, 'Sync Time'];
+  const rows = newUsers.map(r => [
+    r.uscreenId,
+    r.email,
+    r.uscreenUser.name,
+    r.status,
+    r.lifetime,
+    r.decision || '',
+    timestamp
+  ]);
+
+  return {
+    key: 'newUsers',
+    headers,
+    rows,
+    upsert: { keyColumns: ['Uscreen ID', 'Email'], preserveColumns: [DECISION_HEADER] }
+  };
+}
+
+function statusChangesTable(key, changes, action, timestamp) {
+  const headers = ['SF ID', 'Uscreen ID', 'Email', 'Match', 'Uscreen Status', 'Previous Status', 'New Status', 'Previous Active', 'New Active', 'Action', 'Since Last Run', 'Sync Time'];
+  const rows = changes.map(r => [
+    r.sfRecord.sfId,
+    r.uscreenId,
+    r.email,
+    formatMatch(r),
+    r.uscreenStatus,
+    r.previousStatus || 'Unknown',
+    r.newStatus,
+    r.previousActive ? 'Yes' : 'No',
+    r.newActive ? 'Yes' : 'No',
+    action,
+    r.newThisRun === false ? 'still open' : 'new',
+    timestamp
+  ]);
+
+  return { key, headers, rows, upsert: { keyColumns: ['SF ID'] } };
+}
+
+function planMismatchTable(planMismatch, timestamp) {
+  const headers = [
+    'SF ID', 'Uscreen ID', 'Email', 'Match', 'Uscreen Plan', 'Charge Date', 'Charge Amount', 'Payment ID',
+    'SF Subscription', 'SF Installment Frequency', 'SF Subscription Cost',
+    'Suggested Subscription', 'Suggested Installment Frequency', 'Suggested Subscription Cost',
+    'Differences', 'Sync Time'
+  ];
+  const rows = planMismatch.map(r => [
+    r.sfRecord.sfId,
+    r.uscreenId,
+    r.email,
+    formatMatch(r),
+    r.latestPayment.subscription,
+    formatDate(r.latestPayment.chargeDate),
+    r.latestPayment.amount,
+    r.latestPayment.paymentId,
+    r.current.subscription,
+    r.current.installmentFrequency,
+    r.current.subscriptionCost,
+    r.suggested.subscription,
+    r.suggested.installmentFrequency,
+    r.suggested.subscriptionCost,
+    r.differences.join('; '),
+    timestamp
+  ]);
+
+  return { key: 'planMismatch', headers, rows, upsert: { keyColumns: ['SF ID'] } };
+}
+
+function sfMissingTable(sfMissing, timestamp) {
+  const headers = ['SF ID', 'Name', 'Contact Email', 'Uscreen ID', 'Active', 'Subscription Status', 'Last Payment Date', 'Reason', 'Sync Time'];
+  const rows = sfMissing.map(r => [
+    r.sfRecord.sfId,
+    r.sfRecord.name,
+    r.sfRecord.contactEmail,
+    r.uscreenId,
+    r.sfRecord.active ? 'Yes' : 'No',
+    r.sfRecord.uscreenSubscriptionStatus || '',
+    r.sfRecord.uscreenLastPaymentDate || '',
+    r.reason,
+    timestamp
+  ]);
+
+  return { key: 'sfMissing', headers, rows, upsert: { keyColumns: ['SF ID'] } };
+}
+
+function activeMismatchTable(activeMismatch, timestamp) {
+  const headers = ['SF ID', 'Uscreen ID', 'Email', 'Match', 'Uscreen Status', 'SF Status', 'SF Active', 'Expected Active', 'Sync Time'];
+  const rows = activeMismatch.map(r => [
+    r.sfRecord.sfId,
+    r.uscreenId,
+    r.email,
+    formatMatch(r),
+    r.uscreenStatus,
+    r.sfStatus,
+    r.sfActive ? 'Yes' : 'No',
+    r.expectedActive ? 'Yes' : 'No',
+    timestamp
+  ]);
+
+  return { key: 'activeMismatch', headers, rows, upsert: { keyColumns: ['SF ID'] } };
+}
+
+function ambiguousTable(ambiguous, timestamp) {
+  const headers = ['Uscreen ID', 'Email', 'Name', 'Reason', 'Candidate SF IDs', 'Candidate Emails', DECISION_HEADER, 'Sync Time'];
+  const rows = ambiguous.map(r => [
+    r.uscreenId,
+    r.email,
+    r.uscreenUser.name,
+    r.reason,
+    r.candidates.map(c => c.sfId).join(', '),
+    r.candidates.map(c => c.contactEmail || '').join(', '),
+    r.decision || '',
+    timestamp
+  ]);
+
+  return {
+    key: 'ambiguous',
+    headers,
+    rows,
+    upsert: { keyColumns: ['Uscreen ID', 'Email'], preserveColumns: [DECISION_HEADER] }
+  };
+}
+
+function refundedTable(refunded, timestamp) {
+  const headers = ['Uscreen ID', 'Email', 'Name', 'SF ID', 'Type', 'Payment IDs', 'Reversed Amount', 'Net Paid', 'Failed Payments', 'Last Reversal', 'Since Last Run', 'Sync Time'];
+  const rows = refunded.map(r => [
+    r.uscreenId,
+    r.email,
+    r.uscreenUser.name,
+    r.sfRecord ? r.sfRecord.sfId : '',
+    Array.from(new Set(r.reversals.map(x => x.kind))).join(', '),
+    r.reversals.map(x => x.paymentId).filter(Boolean).join(', '),
+    Math.round(r.reversals.reduce((sum, x) => sum + x.amount, 0) * 100) / 100,
+    r.netPaid,
+    r.failedPayments,
+    formatDate(r.reversals.map(x => x.date).filter(Boolean).sort((a, b) => b - a)[0]),
+    r.newThisRun === false ? 'seen before' : 'new',
+    timestamp
+  ]);
+
+  return { key: 'refunded', headers, rows, upsert: { keyColumns: ['Uscreen ID', 'Email'] } };
+}
+
+function changesTable(changes, timestamp) {
+  const headers = ['Change', 'Uscreen ID', 'Email', 'Name', 'Previous', 'Current', 'Sync Time'];
+  const rows = changes.map(r => [
+    r.change,
+    r.uscreenId,
+    r.email,
+    r.uscreenUser.name,
+    r.previous,
+    r.current,
+    timestamp
+  ]);
+
+  return { key: 'changes', headers, rows };
+}
+
+// One row per month; a "Revenue: <plan>" column per plan, biggest first
+function metricsTable(users, payments, minPaymentAmount, timestamp) {
+  const { plans, months } = new RevenueMetrics({ minPaymentAmount }).compute({ users, payments });
+  const headers = [
+    'Month', 'Revenue', 'MRR', 'Paying Subscribers', 'New Payers', 'Returning Payers',
+    'Churned', 'Churn Rate', 'Coupon Uses', 'Coupons',
+    ...plans.map(plan => `Revenue: ${plan}`),
+    'Sync Time'
+  ];
+  const rows = months.map(m => [
+    m.month,
+    m.revenue,
+    m.mrr,
+    m.payingSubscribers,
+    m.newPayers,
+    m.returningPayers,
+    m.churned ?? '',
+    m.churnRate ?? '',
+    m.couponUses,
+    m.coupons.map(([code, count]) => `${code} (${count})`).join(', '),
+    ...plans.map(plan => m.revenueByPlan[plan]),
+    timestamp
+  ]);
+
+  return { key: 'metrics', headers, rows };
+}
+
+function applyResultsTable(applyResults, timestamp) {
+  const headers = ['SF ID', 'Uscreen ID', 'Email', 'Action', 'Fields Updated', 'Result', 'Error', 'Sync Time'];
+  const rows = applyResults.map(r => [
+    r.sfId,
+    r.uscreenId,
+    r.email,
+    r.action,
+    Object.entries(r.fields).map(([field, value]) => `${field}=${value}`).join(', '),
+    r.success ? 'SUCCESS' : 'FAILED',
+    r.error || '',
+    timestamp
+  ]);
+
+  return { key: 'applyResults', headers, rows };
+}
+
+// Keeps the configured columns, in the configured order
+function selectColumns(table, columns) {
+  if (!columns) return table;
+
+  const unknown = columns.filter(c => !table.headers.includes(c));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown column(s) for tab "${table.key}": ${unknown.join(', ')} (available: ${table.headers.join(', ')})`);
+  }
+
+  // Upsert keys and reviewer columns are needed to merge and read the tab back
+  const required = table.upsert ? [...table.upsert.keyColumns, ...(table.upsert.preserveColumns || [])] : [];
+  const missing = required.filter(c => !columns.includes(c));
+  if (missing.length > 0) {
+    throw new Error(`Tab "${table.key}" must keep column(s): ${missing.join(', ')}`);
+  }
+
+  const indexes = columns.map(c => table.headers.indexOf(c));
+  return {
+    ...table,
+    headers: columns,
+    rows: table.rows.map(row => indexes.map(i => row[i]))
+  };
+}
+
+// data: { uscreenUsers, uscreenPayments, sfData, comparison, applyResults? }
+function buildTables(data, timestamp, layout) {
+  const { comparison } = data;
+  const tables = [
+    uscreenUsersTable(data.uscreenUsers, timestamp),
+    uscreenPaymentsTable(data.uscreenPayments, layout.minPaymentAmount, timestamp),
+    sfDataTable(data.sfData, timestamp),
+    needsUpdateTable(comparison.needsUpdate, timestamp),
+    newUsersTable(comparison.newUsers, timestamp),
+    statusChangesTable('cancelled', comparison.cancelled, 'UPDATE STATUS', timestamp),
+    statusChangesTable('reactivated', comparison.reactivated, 'REACTIVATE', timestamp),
+    statusChangesTable('statusMismatch', comparison.statusMismatch, 'UPDATE STATUS', timestamp),
+    planMismatchTable(comparison.planMismatch, timestamp),
+    sfMissingTable(comparison.sfMissing, timestamp),
+    activeMismatchTable(comparison.activeMismatch, timestamp),
+    ambiguousTable(comparison.ambiguous, timestamp),
+    refundedTable(comparison.refunded, timestamp),
+    changesTable(comparison.changes, timestamp),
+    metricsTable(data.uscreenUsers, data.uscreenPayments, layout.minPaymentAmount, timestamp)
+  ];
+
+  if (data.applyResults) {
+    tables.push(applyResultsTable(data.applyResults, timestamp));
+  }
+
+  return tables.map(table => ({
+    ...selectColumns(table, layout.columns[table.key]),
+    name: layout.tabs[table.key]
+  }));
+}
+
+// Builds every table from empty results so a bad column list fails at startup
+function checkLayout(layout) {
+  const empty = { matched: [], needsUpdate: [], newUsers: [], cancelled: [], reactivated: [], statusMismatch: [], planMismatch: [], sfMissing: [], activeMismatch: [], ambiguous: [], refunded: [], changes: [], noMatch: [] };
+  buildTables({ uscreenUsers: [], uscreenPayments: [], sfData: [], comparison: empty, applyResults: [] }, '', layout);
+}
+
+module.exports = { buildTables, checkLayout };
@@ -0,0 +1,175 @@
+/**
+ * Revenue Metrics
+ * Month-by-month numbers from the Uscreen payments export: revenue (total
+ * and per plan), MRR, paying subscribers, churn, new vs returning payers
+ * and coupon usage.
+ *
+ * A payment keeps its payer "paying" for the months it covers - one for
+ * monthly plans, 3/6/12 when the plan name says quarterly, semi-annual or
+ * annual - and adds amount / months to MRR for each of them. A payer who was
+ * paying last month but isn't this month has churned.
+ *
+ * Revenue is net of refunds: a charge counts at its amount less what was
+ * refunded against it, so a fully refunded or charged-back charge drops out
+ * (revenue, MRR and paying) in the month it was charged. A refund whose charge
+ * is older than the export is subtracted in the month it was made. Failed
+ * payments never count. Pairing is DataComparer's pairReversals, so the
+ * Metrics tab and Net Paid on Refunds & Disputes agree.
+ */
+
+const { classifyPayment, pairReversals } = require('./data-comparer');
+
+// Checked in order - "semi-annual" before "annual"
+const PLAN_INTERVALS = [
+  { pattern: /semi.?annual|half.?year|6.?month/i, months: 6 },
+  { pattern: /annual|year/i, months: 12 },
+  { pattern: /quarter|3.?month/i, months: 3 }
+];
+
+const NO_PLAN = '(no plan)';
+
+function monthIndex(date) {
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+function monthLabel(index) {
+  const year = Math.floor(index / 12);
+  return `${year}-${String(index % 12 + 1).padStart(2, '0')}`;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class RevenueMetrics {
+  constructor(options = {}) {
+    // Payments at or below this are free/trial charges, not revenue (rules.minPaymentAmount)
+    this.minPaymentAmount = options.minPaymentAmount ?? 0;
+    // Churn isn't reported for a month that hasn't finished yet
+    this.now = options.now || new Date();
+  }
+
+  planMonths(plan) {
+    const interval = PLAN_INTERVALS.find(i => i.pattern.test(plan || ''));
+    return interval ? interval.months : 1;
+  }
+
+  // Returns one entry per month from the first to the last payment, plus the plans seen
+  compute(uscreenData) {
+    const { users = [], payments = [] } = uscreenData;
+
+    // Payments without a User ID still belong to the user with that email
+    const idByEmail = new Map(users.filter(u => u.id && u.email).map(u => [u.email, String(u.id)]));
+    const payerKey = (p) => (p.userId ? String(p.userId) : idByEmail.get(p.email) || `email:${p.email}`);
+
+    const months = new Map();
+    const month = (index) => {
+      if (!months.has(index)) {
+        months.set(index, { revenue: 0, byPlan: new Map(), payers: new Set(), coverage: new Map(), coupons: new Map() });
+      }
+      return months.get(index);
+    };
+
+    const firstPaid = new Map();
+    const planTotals = new Map();
+    let first = Infinity;
+    let last = -Infinity;
+
+    const addRevenue = (index, plan, amount) => {
+      const entry = month(index);
+      entry.revenue += amount;
+      entry.byPlan.set(plan, (entry.byPlan.get(plan) || 0) + amount);
+      planTotals.set(plan, (planTotals.get(plan) || 0) + amount);
+    };
+
+    // Refunds are paired within each payer's own payments
+    const byPayer = new Map();
+    for (const p of payments) {
+      const key = payerKey(p);
+      if (!byPayer.has(key)) byPayer.set(key, []);
+      byPayer.get(key).push(p);
+    }
+    const refundedByCharge = new Map();
+    const unpaired = [];
+    for (const list of byPayer.values()) {
+      const paired = pairReversals(list);
+      for (const [charge, amount] of paired.refundedByCharge) refundedByCharge.set(charge, amount);
+      unpaired.push(...paired.unpaired);
+    }
+
+    for (const p of payments) {
+      if (!(p.chargeDate instanceof Date) || classifyPayment(p) !== 'charge') continue;
+      const index = monthIndex(p.chargeDate);
+      first = Math.min(first, index);
+      last = Math.max(last, index);
+
+      // Coupon usage includes free-month coupons
+      if (p.coupon) {
+        const coupons = month(index).coupons;
+        coupons.set(p.coupon, (coupons.get(p.coupon) || 0) + 1);
+      }
+
+      const amount = p.amount - (refundedByCharge.get(p) || 0);
+      if (!(p.amount > this.minPaymentAmount) || !(amount > 0.005)) continue;
+      const key = payerKey(p);
+      const plan = p.subscription || NO_PLAN;
+      addRevenue(index, plan, amount);
+      month(index).payers.add(key);
+      if (!firstPaid.has(key) || index < firstPaid.get(key)) firstPaid.set(key, index);
+
+      // The newest payment covering a month sets that month's MRR for the payer
+      const covered = this.planMonths(plan);
+      for (let i = index; i < index + covered; i++) {
+        const current = month(i).coverage.get(key);
+        if (!current || current.chargeDate < p.chargeDate) {
+          month(i).coverage.set(key, { chargeDate: p.chargeDate, monthly: amount / covered });
+        }
+      }
+    }
+
+    for (const p of unpaired) {
+      if (!(p.chargeDate instanceof Date)) continue;
+      const index = monthIndex(p.chargeDate);
+      first = Math.min(first, index);
+      last = Math.max(last, index);
+      addRevenue(index, p.subscription || NO_PLAN, p.amount);
+    }
+
+    const plans = Array.from(planTotals.keys()).sort((a, b) => planTotals.get(b) - planTotals.get(a));
+    const currentMonth = monthIndex(this.now);
+    const rows = [];
+
+    for (let index = first; index <= last; index++) {
+      const entry = month(index);
+      const previous = months.has(index - 1) ? months.get(index - 1).coverage : new Map();
+      const paying = entry.coverage;
+      const newPayers = Array.from(entry.payers).filter(key => firstPaid.get(key) === index).length;
+
+      // Churn needs a finished month and someone paying the month before
+      let churned = null;
+      let churnRate = null;
+      if (index > first && index < currentMonth) {
+        churned = Array.from(previous.keys()).filter(key => !paying.has(key)).length;
+        churnRate = previous.size > 0 ? churned / previous.size : null;
+      }
+
+      rows.push({
+        month: monthLabel(index),
+        revenue: roundMoney(entry.revenue),
+        mrr: roundMoney(Array.from(paying.values()).reduce((sum, c) => sum + c.monthly, 0)),
+        payingSubscribers: paying.size,
+        newPayers: newPayers,
+        returningPayers: entry.payers.size - newPayers,
+        churned: churned,
+        churnRate: churnRate === null ? null : Math.round(churnRate * 10000) / 10000,
+        couponUses: Array.from(entry.coupons.values()).reduce((sum, n) => sum + n, 0),
+        coupons: Array.from(entry.coupons.entries()).sort((a, b) => b[1] - a[1]),
+        revenueByPlan: Object.fromEntries(plans.map(plan => [plan, roundMoney(entry.byPlan.get(plan) || 0)]))
+      });
+    }
+
+    return { plans, months: rows };
+  }
+}
+
+module.exports = RevenueMetrics;
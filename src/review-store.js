@@ -0,0 +1,119 @@
+/**
+ * Review Store
+ * Remembers reviewer decisions read back from the Google Sheet:
+ * - approve → create Program_Roles__c (and Contact) on the next --apply run
+ * - reject  → stop listing the user for review
+ * - SF ID   → manual link from the Uscreen user to that SF record
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SF_ID_PATTERN = /^[a-zA-Z0-9]{15}([a-zA-Z0-9]{3})?$/;
+const APPROVE_VALUES = ['approve', 'approved', 'yes', 'create'];
+const REJECT_VALUES = ['reject', 'rejected', 'no', 'ignore'];
+
+// Returns { type: 'approve' | 'reject' | 'link', sfId? } or null for blank/unknown
+function parseDecision(value) {
+  const text = String(value || '').trim();
+  const lower = text.toLowerCase();
+  if (!text) return null;
+  if (APPROVE_VALUES.includes(lower)) return { type: 'approve' };
+  if (REJECT_VALUES.includes(lower)) return { type: 'reject' };
+  if (SF_ID_PATTERN.test(text)) return { type: 'link', sfId: text };
+  return null;
+}
+
+class ReviewStore {
+  constructor(config = {}) {
+    const dir = config.dir || path.join(__dirname, '../history');
+    this.filePath = path.join(dir, 'review-decisions.json');
+    this.data = { links: {}, rejected: {}, approved: {} };
+
+    if (fs.existsSync(this.filePath)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(this.filePath, 'utf-8')) };
+    }
+  }
+
+  key(uscreenId, email) {
+    return uscreenId ? String(uscreenId) : `email:${email}`;
+  }
+
+  // decisions: [{ uscreenId, email, decision }] as read from the sheet
+  recordDecisions(decisions) {
+    const counts = { approve: 0, reject: 0, link: 0, unrecognized: [] };
+    const decidedAt = new Date().toISOString();
+
+    for (const d of decisions) {
+      const parsed = parseDecision(d.decision);
+      if (!parsed) {
+        counts.unrecognized.push(d);
+        continue;
+      }
+
+      const key = this.key(d.uscreenId, d.email);
+      const entry = { uscreenId: d.uscreenId, email: d.email, decidedAt };
+
+      // Latest decision wins - clear any earlier one for this user
+      delete this.data.links[key];
+      delete this.data.rejected[key];
+      if (parsed.type !== 'approve') delete this.data.approved[key];
+
+      if (parsed.type === 'link') {
+        this.data.links[key] = { ...entry, sfId: parsed.sfId };
+      } else if (parsed.type === 'reject') {
+        this.data.rejected[key] = entry;
+      } else if (!this.data.approved[key]) {
+        this.data.approved[key] = entry;
+      }
+      counts[parsed.type]++;
+    }
+
+    return counts;
+  }
+
+  // Map of uscreenId/email key → SF ID, including records created from approvals
+  getLinks() {
+    const links = new Map();
+    for (const [key, approval] of Object.entries(this.data.approved)) {
+      if (approval.createdSfId) links.set(key, approval.createdSfId);
+    }
+    for (const [key, link] of Object.entries(this.data.links)) {
+      links.set(key, link.sfId);
+    }
+    return links;
+  }
+
+  isRejected(uscreenId, email) {
+    return !!this.data.rejected[this.key(uscreenId, email)];
+  }
+
+  isApprovedPending(uscreenId, email) {
+    const approval = this.data.approved[this.key(uscreenId, email)];
+    return !!approval && !approval.createdSfId;
+  }
+
+  markCreated(uscreenId, email, sfId) {
+    const approval = this.data.approved[this.key(uscreenId, email)];
+    if (approval) {
+      approval.createdSfId = sfId;
+      approval.createdAt = new Date().toISOString();
+    }
+  }
+
+  // Text shown in the sheet's Decision column so pending decisions survive the rewrite
+  getDecisionLabel(uscreenId, email) {
+    const key = this.key(uscreenId, email);
+    if (this.data.links[key]) return this.data.links[key].sfId;
+    if (this.isApprovedPending(uscreenId, email)) return 'approve';
+    return '';
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+}
+
+module.exports = ReviewStore;
+module.exports.parseDecision = parseDecision;
@@ -0,0 +1,85 @@
+/**
+ * Run Artifacts
+ * Saves each step's output (scrape, salesforce, compare, apply, publish) as
+ * JSON in runs/<runId>/ so a single step can be rerun or inspected later
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RETENTION, listRuns, pruneRuns } = require('./run-retention');
+
+// Dates go through JSON as ISO strings - bring back the full timestamps only
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+function reviveDates(key, value) {
+  return typeof value === 'string' && ISO_TIMESTAMP.test(value) ? new Date(value) : value;
+}
+
+class RunArtifacts {
+  constructor(config = {}) {
+    this.dir = config.dir || path.join(__dirname, '../runs');
+    this.retention = config.retention || DEFAULT_RETENTION;
+  }
+
+  listRuns() {
+    return listRuns(this.dir, entry => entry.isDirectory());
+  }
+
+  latestRunId() {
+    const runs = this.listRuns();
+    return runs.length > 0 ? runs[runs.length - 1] : null;
+  }
+
+  has(runId, step) {
+    return fs.existsSync(this.filePath(runId, step));
+  }
+
+  filePath(runId, step) {
+    return path.join(this.dir, runId, `${step}.json`);
+  }
+
+  save(runId, step, data) {
+    const runDir = path.join(this.dir, runId);
+    const isNewRun = !fs.existsSync(runDir);
+    if (isNewRun) {
+      fs.mkdirSync(runDir, { recursive: true });
+    }
+
+    const artifact = {
+      step: step,
+      runId: runId,
+      savedAt: new Date().toISOString(),
+      data: data
+    };
+
+    const filePath = this.filePath(runId, step);
+    fs.writeFileSync(filePath, JSON.stringify(artifact, null, 2));
+    if (isNewRun) this.prune();
+
+    return filePath;
+  }
+
+  // When a step's artifact was written, or null if the step hasn't run
+  savedAt(runId, step) {
+    const filePath = this.filePath(runId, step);
+    if (!fs.existsSync(filePath)) return null;
+    return new Date(JSON.parse(fs.readFileSync(filePath, 'utf-8')).savedAt);
+  }
+
+  load(runId, step) {
+    const filePath = this.filePath(runId, step);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`No ${step} artifact in ${path.dirname(filePath)} - run the "${step}" step first (or pick a run with --run)`);
+    }
+
+    const artifact = JSON.parse(fs.readFileSync(filePath, 'utf-8'), reviveDates);
+    console.log(`   📂 Loaded ${step} artifact from ${filePath} (saved ${artifact.savedAt.toISOString()})`);
+    return artifact.data;
+  }
+
+  prune() {
+    pruneRuns(this.dir, this.listRuns(), this.retention);
+  }
+}
+
+module.exports = RunArtifacts;
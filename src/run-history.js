@@ -0,0 +1,76 @@
+/**
+ * Run History
+ * Stores one JSON snapshot per sync run (normalized users, payments and
+ * a compact copy of the results) so the next run can detect transitions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RETENTION, listRuns, pruneRuns } = require('./run-retention');
+
+class RunHistory {
+  constructor(config = {}) {
+    this.dir = config.dir || path.join(__dirname, '../history');
+    this.retention = config.retention || DEFAULT_RETENTION;
+  }
+
+  listSnapshots() {
+    return listRuns(this.dir, entry => entry.isFile() && entry.name.startsWith('run-') && entry.name.endsWith('.json'));
+  }
+
+  // beforeRunId skips the current run's own snapshot when a step is rerun
+  loadLatest(beforeRunId = null) {
+    const snapshots = this.listSnapshots()
+      .filter(f => !beforeRunId || f < `run-${beforeRunId}.json`);
+    if (snapshots.length === 0) return null;
+
+    const filePath = path.join(this.dir, snapshots[snapshots.length - 1]);
+    const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+
+    // Restore Date fields lost in JSON
+    for (const p of snapshot.payments || []) {
+      p.chargeDate = p.chargeDate ? new Date(p.chargeDate) : null;
+    }
+    return snapshot;
+  }
+
+  save(runId, uscreenData, comparison) {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    const snapshot = {
+      runId: runId,
+      createdAt: new Date().toISOString(),
+      users: uscreenData.users,
+      payments: uscreenData.payments,
+      results: this.summarizeResults(comparison)
+    };
+
+    const filePath = path.join(this.dir, `run-${runId}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(snapshot));
+    this.prune();
+
+    return filePath;
+  }
+
+  // Keep IDs only - full records are already in users/payments
+  summarizeResults(comparison) {
+    const summary = {};
+    for (const [category, items] of Object.entries(comparison)) {
+      summary[category] = items.map(item => ({
+        uscreenId: item.uscreenId,
+        email: item.email,
+        sfId: item.sfRecord ? item.sfRecord.sfId : null,
+        ...(item.change ? { change: item.change } : {})
+      }));
+    }
+    return summary;
+  }
+
+  prune() {
+    pruneRuns(this.dir, this.listSnapshots(), this.retention);
+  }
+}
+
+module.exports = RunHistory;
@@ -0,0 +1,73 @@
+/**
+ * Run Metrics
+ * Times each sync step and collects record counts for the Sync Log tab
+ */
+
+const STEPS = ['validate', 'scrape', 'salesforce', 'compare', 'apply', 'publish'];
+
+const HEADERS = [
+  'Run ID', 'Mode', 'Status', 'Started', 'Finished', 'Total (s)',
+  ...STEPS.map(step => `${step.charAt(0).toUpperCase()}${step.slice(1)} (s)`),
+  'Users', 'Payments', 'SF Records', 'Matched', 'Needs Update', 'New Users',
+  'Cancelled', 'Reactivated', 'Status Mismatch', 'Ambiguous', 'No Match',
+  'SF Writes OK', 'SF Writes Failed', 'Error',
+  // Later additions go at the end so existing Sync Log rows stay aligned
+  'Plan Mismatch', 'Refunds & Disputes', 'Missing from Uscreen', 'Active Mismatch'
+];
+
+class RunMetrics {
+  constructor(runId, mode) {
+    this.runId = runId;
+    this.mode = mode;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.durations = {};
+    this.running = {};
+    this.counts = {};
+    this.error = null;
+  }
+
+  start(step) {
+    this.running[step] = Date.now();
+  }
+
+  stop(step) {
+    if (this.running[step] === undefined) return;
+    this.durations[step] = (Date.now() - this.running[step]) / 1000;
+    delete this.running[step];
+  }
+
+  record(counts) {
+    Object.assign(this.counts, counts);
+  }
+
+  finish(error = null) {
+    // A failure mid-step still records how long that step ran
+    for (const step of Object.keys(this.running)) this.stop(step);
+    this.finishedAt = new Date();
+    this.error = error;
+  }
+
+  toRow() {
+    const c = this.counts;
+    const count = (value) => (value === undefined ? '' : value);
+    return [
+      this.runId,
+      this.mode,
+      this.error ? 'FAILED' : 'SUCCESS',
+      this.startedAt.toISOString(),
+      this.finishedAt ? this.finishedAt.toISOString() : '',
+      this.finishedAt ? (this.finishedAt - this.startedAt) / 1000 : '',
+      ...STEPS.map(step => count(this.durations[step])),
+      count(c.users), count(c.payments), count(c.sfRecords), count(c.matched),
+      count(c.needsUpdate), count(c.newUsers), count(c.cancelled), count(c.reactivated),
+      count(c.statusMismatch), count(c.ambiguous), count(c.noMatch),
+      count(c.sfWritesOk), count(c.sfWritesFailed),
+      this.error ? this.error.message : '',
+      count(c.planMismatch), count(c.refunded), count(c.sfMissing), count(c.activeMismatch)
+    ];
+  }
+}
+
+module.exports = RunMetrics;
+module.exports.HEADERS = HEADERS;
@@ -0,0 +1,30 @@
+/**
+ * Run Retention
+ * Listing and pruning shared by RunArtifacts (runs/<runId>/) and
+ * RunHistory (history/run-<runId>.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_RETENTION = 12;
+
+// Names of the entries in dir that pass the filter (a fs.Dirent test), oldest run first
+function listRuns(dir, filter) {
+  if (!fs.existsSync(dir)) return [];
+
+  // Run IDs are ISO timestamps, so name order is run order
+  return fs.readdirSync(dir, { withFileTypes: true })
+    .filter(filter)
+    .map(entry => entry.name)
+    .sort();
+}
+
+// Deletes all but the newest `retention` of the listed runs
+function pruneRuns(dir, names, retention) {
+  for (const name of names.slice(0, Math.max(0, names.length - retention))) {
+    fs.rmSync(path.join(dir, name), { recursive: true, force: true });
+  }
+}
+
+module.exports = { DEFAULT_RETENTION, listRuns, pruneRuns };
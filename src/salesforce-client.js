@@ -1,90 +1,281 @@
 /**
  * Salesforce Client
- * Connects to Salesforce via jsforce and queries Program_Roles__c
+ * Connects to Salesforce via jsforce (password, JWT bearer, client credentials
+ * or refresh token) and queries the Program Roles object
+ * (paginated REST or Bulk API, with field validation at startup).
+ * Object and field names come from salesforce in sync.config.json.
  */
 
 const jsforce = require('jsforce');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const UPDATE_BATCH_SIZE = 200;
+// IDs per "WHERE Id IN (...)" query, well inside the SOQL length limit
+const ID_QUERY_BATCH_SIZE = 200;
+const JWT_LIFETIME_SECONDS = 180;
+const BULK_POLL_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Reads 'Contact__r.Email' from a nested (REST) or flattened (Bulk) record
+function field(record, name) {
+  if (name in record) return record[name];
+  return name.split('.').reduce((value, key) => (value == null ? value : value[key]), record);
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return Number(value);
+}
 
 class SalesforceClient {
   constructor(config) {
     this.config = config;
-    this.conn = null;
+    // e.g. 'Program_Roles__c' and { active: 'Active__c', contactEmail: 'Contact__r.Email', ... }
+    this.object = config.object;
+    this.fields = config.fields;
+    // A jsforce Connection once connected - sandbox runs pass an in-memory stand-in
+    this.conn = config.connection || null;
+  }
+
+  get queryFields() {
+    return ['Id', ...new Set(Object.values(this.fields))];
   }
 
   async connect() {
-    this.conn = new jsforce.Connection({
-      loginUrl: this.config.loginUrl
+    const authMethod = this.config.authMethod || 'password';
+
+    if (authMethod === 'password') {
+      this.conn = new jsforce.Connection({
+        loginUrl: this.config.loginUrl
+      });
+
+      // Login with username/password + security token
+      await this.conn.login(
+        this.config.username,
+        this.config.password + (this.config.securityToken || '')
+      );
+    } else {
+      // OAuth flows - jsforce calls refreshFn again when the session expires
+      const token = await this.requestToken(authMethod);
+      this.conn = new jsforce.Connection({
+        instanceUrl: token.instance_url,
+        accessToken: token.access_token,
+        refreshFn: (conn, callback) => {
+          this.requestToken(authMethod)
+            .then(res => callback(null, res.access_token, res))
+            .catch(callback);
+        }
+      });
+    }
+
+    console.log(`   ✅ Connected to Salesforce (${authMethod})`);
+  }
+
+  async requestToken(authMethod) {
+    const params = this.getTokenParams(authMethod);
+    const response = await fetch(`${this.config.loginUrl}/services/oauth2/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(params).toString()
     });
 
-    // Login with username/password + security token
-    await this.conn.login(
-      this.config.username,
-      this.config.password + (this.config.securityToken || '')
-    );
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Salesforce ${authMethod} auth failed: ${body.error_description || body.error || response.status}`);
+    }
 
-    console.log('   ✅ Connected to Salesforce');
+    // Refresh token rotation - keep using the newest one for this run
+    if (authMethod === 'refresh_token' && body.refresh_token && body.refresh_token !== this.config.refreshToken) {
+      this.config.refreshToken = body.refresh_token;
+      console.warn('   ⚠️ Salesforce issued a new refresh token - update SF_REFRESH_TOKEN');
+    }
+
+    return body;
   }
 
-  async getProgramRoles() {
+  getTokenParams(authMethod) {
+    const { clientId, clientSecret } = this.config;
+
+    switch (authMethod) {
+      case 'jwt':
+        return {
+          grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+          assertion: this.createJwtAssertion()
+        };
+      case 'client_credentials':
+        return { grant_type: 'client_credentials', client_id: clientId, client_secret: clientSecret };
+      case 'refresh_token':
+        if (!this.config.refreshToken) {
+          throw new Error('SF_REFRESH_TOKEN is required for refresh_token auth');
+        }
+        return {
+          grant_type: 'refresh_token',
+          refresh_token: this.config.refreshToken,
+          client_id: clientId,
+          ...(clientSecret ? { client_secret: clientSecret } : {})
+        };
+      default:
+        throw new Error(`Unknown SF_AUTH_METHOD "${authMethod}" (use password, jwt, client_credentials or refresh_token)`);
+    }
+  }
+
+  createJwtAssertion() {
+    const privateKey = this.config.privateKey ||
+      (this.config.privateKeyPath && fs.readFileSync(this.config.privateKeyPath, 'utf-8'));
+    if (!privateKey) {
+      throw new Error('SF_PRIVATE_KEY or SF_PRIVATE_KEY_PATH is required for jwt auth');
+    }
+
+    const base64url = (value) => Buffer.from(value).toString('base64url');
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const claims = base64url(JSON.stringify({
+      iss: this.config.clientId,
+      sub: this.config.username,
+      aud: this.config.audience || this.config.loginUrl,
+      exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS
+    }));
+
+    const signature = crypto.createSign('RSA-SHA256').update(`${header}.${claims}`).sign(privateKey, 'base64url');
+    return `${header}.${claims}.${signature}`;
+  }
+
+  async validateSchema() {
+    if (!this.conn) {
+      await this.connect();
+    }
+
+    // Fail before the scrape if a field was renamed or removed in SF
+    const describe = await this.conn.sobject(this.object).describe();
+    const available = new Set(describe.fields.map(f => f.name));
+    const relationships = new Set(describe.fields.map(f => f.relationshipName).filter(Boolean));
+
+    // 'Contact__r.Email' only needs the Contact__r relationship on this object
+    const missing = this.queryFields.filter(f => f.includes('.') ?
+      !relationships.has(f.split('.')[0]) :
+      !available.has(f));
+
+    if (missing.length > 0) {
+      throw new Error(`${this.object} is missing field(s): ${missing.join(', ')}. Check the SF object or salesforce.fields in sync.config.json.`);
+    }
+
+    console.log(`   ✅ ${this.object} has all ${this.queryFields.length} required fields`);
+  }
+
+  // linkedIds: records to fetch even when `where` leaves them out (reviewer manual links)
+  async getProgramRoles(linkedIds = []) {
     if (!this.conn) {
       await this.connect();
     }
 
-    // Query all Program_Roles__c records with Uscreen fields
+    // Query all Program Roles records with Uscreen fields
+    const where = this.config.where;
     const query = `
-      SELECT 
-        Id,
-        Name,
-        Account__c,
-        Contact__c,
-        Program_Role_Location__c,
-        Program_Role_Type__c,
-        Subscription__c,
-        Installment_Frequency__c,
-        Subscription_Cost__c,
-        Active__c,
-        Subscription_Start_Date__c,
-        Uscreen_Member_ID__c,
-        Uscreen_Subscription_Status__c,
-        Uscreen_Last_Payment_Date__c,
-        Contact__r.Email,
-        Contact__r.Name
-      FROM Program_Roles__c
-      WHERE Uscreen_Member_ID__c != null
+      SELECT ${this.queryFields.join(', ')}
+      FROM ${this.object}
+      ${where ? `WHERE ${where}` : ''}
       ORDER BY CreatedDate DESC
     `;
 
-    const result = await this.conn.query(query);
-    
+    const rawRecords = this.config.useBulkApi ?
+      await this.bulkQuery(query) :
+      await this.queryAll(query);
+
+    // 15- and 18-character IDs name the same record
+    const fetched = new Set(rawRecords.map(r => String(r.Id).substring(0, 15)));
+    const missing = [...new Set(linkedIds)].filter(id => !fetched.has(String(id).substring(0, 15)));
+    for (let i = 0; i < missing.length; i += ID_QUERY_BATCH_SIZE) {
+      const ids = missing.slice(i, i + ID_QUERY_BATCH_SIZE).map(id => `'${id}'`).join(', ');
+      rawRecords.push(...await this.queryAll(`SELECT ${this.queryFields.join(', ')} FROM ${this.object} WHERE Id IN (${ids})`));
+    }
+
     // Transform to flat structure
-    const records = result.records.map(r => ({
-      sfId: r.Id,
-      name: r.Name,
-      accountId: r.Account__c,
-      contactId: r.Contact__c,
-      contactEmail: r.Contact__r?.Email || '',
-      contactName: r.Contact__r?.Name || '',
-      location: r.Program_Role_Location__c,
-      roleType: r.Program_Role_Type__c,
-      subscription: r.Subscription__c,
-      installmentFrequency: r.Installment_Frequency__c,
-      subscriptionCost: r.Subscription_Cost__c,
-      active: r.Active__c,
-      subscriptionStartDate: r.Subscription_Start_Date__c,
-      uscreenMemberId: r.Uscreen_Member_ID__c,
-      uscreenSubscriptionStatus: r.Uscreen_Subscription_Status__c,
-      uscreenLastPaymentDate: r.Uscreen_Last_Payment_Date__c
-    }));
+    const records = rawRecords.map(r => {
+      const get = (key) => field(r, this.fields[key]);
+      return {
+        sfId: r.Id,
+        name: get('name'),
+        accountId: get('accountId'),
+        contactId: get('contactId'),
+        contactEmail: get('contactEmail') || '',
+        contactName: get('contactName') || '',
+        location: get('location'),
+        roleType: get('roleType'),
+        subscription: get('subscription'),
+        installmentFrequency: get('installmentFrequency'),
+        subscriptionCost: toNumber(get('subscriptionCost')),
+        active: get('active') === true || get('active') === 'true',
+        subscriptionStartDate: get('subscriptionStartDate') || null,
+        uscreenMemberId: get('uscreenMemberId') || null,
+        uscreenSubscriptionStatus: get('uscreenSubscriptionStatus') || null,
+        uscreenLastPaymentDate: get('uscreenLastPaymentDate') || null
+      };
+    });
+
+    return records;
+  }
+
+  async queryAll(query) {
+    // Follow nextRecordsUrl until done - one query() returns at most one page
+    let result = await this.conn.query(query);
+    const records = [...result.records];
+
+    while (!result.done) {
+      result = await this.conn.queryMore(result.nextRecordsUrl);
+      records.push(...result.records);
+      console.log(`   📄 Fetched ${records.length}/${result.totalSize} records`);
+    }
 
     return records;
   }
 
+  bulkQuery(query) {
+    // Bulk API: records come back flattened ('Contact__r.Email') with string values
+    this.conn.bulk.pollTimeout = BULK_POLL_TIMEOUT_MS;
+
+    return new Promise((resolve, reject) => {
+      const records = [];
+      this.conn.bulk.query(query)
+        .on('record', r => records.push(r))
+        .on('error', reject)
+        .on('end', () => resolve(records));
+    });
+  }
+
+  async findContactByEmail(email) {
+    if (!this.conn) {
+      await this.connect();
+    }
+
+    const result = await this.conn.sobject('Contact')
+      .find({ Email: email }, ['Id', 'AccountId', 'Email'])
+      .limit(1)
+      .execute();
+
+    return result[0] || null;
+  }
+
+  async createContact(fields) {
+    if (!this.conn) {
+      await this.connect();
+    }
+
+    return this.conn.sobject('Contact').create(fields);
+  }
+
+  async createProgramRole(fields) {
+    if (!this.conn) {
+      await this.connect();
+    }
+
+    return this.conn.sobject(this.object).create(fields);
+  }
+
   async updateProgramRole(sfId, updates) {
     if (!this.conn) {
       await this.connect();
     }
 
-    const result = await this.conn.sobject('Program_Roles__c').update({
+    const result = await this.conn.sobject(this.object).update({
       Id: sfId,
       ...updates
     });
@@ -92,15 +283,27 @@ class SalesforceClient {
     return result;
   }
 
-  async bulkUpdateProgramRoles(updates) {
+  async bulkUpdateProgramRoles(updates, batchSize = UPDATE_BATCH_SIZE) {
     if (!this.conn) {
       await this.connect();
     }
 
     // updates is array of { Id, field1, field2, ... }
-    const result = await this.conn.sobject('Program_Roles__c').update(updates);
-    
-    return result;
+    // The sObject Collections API accepts at most 200 records per call
+    const results = [];
+    for (let i = 0; i < updates.length; i += batchSize) {
+      const batch = updates.slice(i, i + batchSize);
+      try {
+        const batchResults = await this.conn.sobject(this.object).update(batch, { allOrNone: false });
+        results.push(...batchResults);
+      } catch (e) {
+        // Whole batch rejected - record the failure against every record in it
+        results.push(...batch.map(r => ({ id: r.Id, success: false, errors: [e.message] })));
+      }
+      console.log(`   📤 Updated batch ${Math.floor(i / batchSize) + 1} (${batch.length} records)`);
+    }
+
+    return results;
   }
 }
 
@@ -0,0 +1,160 @@
+/**
+ * Salesforce Updater
+ * Turns comparison results into Program Roles updates (field names from
+ * salesforce.fields in sync.config.json):
+ * - needsUpdate → uscreenLastPaymentDate
+ * - cancelled / reactivated / statusMismatch
+ *               → uscreenSubscriptionStatus + active
+ * - manual links → uscreenMemberId, so the link holds in SF too
+ * Applies them in batches and reports per-record outcomes.
+ * Also creates Program Roles (and Contacts) for reviewer-approved new users.
+ */
+
+// Comparison category → action label
+const STATUS_ACTIONS = {
+  cancelled: 'Cancel',
+  reactivated: 'Reactivate',
+  statusMismatch: 'Status'
+};
+
+class SalesforceUpdater {
+  constructor(salesforceClient) {
+    this.salesforce = salesforceClient;
+    this.fields = salesforceClient.fields;
+  }
+
+  buildUpdates(comparison) {
+    // One update per SF record - a record can be both paid and cancelled
+    const bySfId = new Map();
+
+    const getEntry = (match) => {
+      const sfId = match.sfRecord.sfId;
+      if (!bySfId.has(sfId)) {
+        bySfId.set(sfId, {
+          record: { Id: sfId },
+          uscreenId: match.uscreenId,
+          email: match.email,
+          actions: []
+        });
+      }
+      return bySfId.get(sfId);
+    };
+
+    for (const match of comparison.needsUpdate) {
+      const entry = getEntry(match);
+      entry.record[this.fields.uscreenLastPaymentDate] = match.uscreenLastPaymentDate.toISOString().split('T')[0];
+      entry.actions.push('Last Payment Date');
+    }
+
+    for (const match of comparison.matched) {
+      if (match.matchMethod !== 'manual link' || !match.uscreenId) continue;
+      if (String(match.sfRecord.uscreenMemberId || '') === String(match.uscreenId)) continue;
+      const entry = getEntry(match);
+      entry.record[this.fields.uscreenMemberId] = String(match.uscreenId);
+      entry.actions.push('Link');
+    }
+
+    for (const [category, action] of Object.entries(STATUS_ACTIONS)) {
+      for (const match of comparison[category] || []) {
+        const entry = getEntry(match);
+        entry.record[this.fields.uscreenSubscriptionStatus] = match.newStatus;
+        entry.record[this.fields.active] = match.newActive;
+        entry.actions.push(action);
+      }
+    }
+
+    return Array.from(bySfId.values());
+  }
+
+  async apply(comparison) {
+    const updates = this.buildUpdates(comparison);
+    if (updates.length === 0) return [];
+
+    const results = await this.salesforce.bulkUpdateProgramRoles(updates.map(u => u.record));
+
+    // jsforce returns results in the same order as the submitted records
+    return updates.map((update, i) => {
+      const result = results[i] || { success: false, errors: ['No result returned'] };
+      const { Id, ...fields } = update.record;
+      return {
+        sfId: Id,
+        uscreenId: update.uscreenId,
+        email: update.email,
+        action: update.actions.join(' + '),
+        fields: fields,
+        success: !!result.success,
+        error: result.success ? '' : this.formatErrors(result.errors)
+      };
+    });
+  }
+
+  // newUsers still unmatched this run whose review decision is 'approve'
+  async createApprovedUsers(newUsers, reviewStore, statusMapping) {
+    const approved = newUsers.filter(u => reviewStore.isApprovedPending(u.uscreenId, u.email));
+    const results = [];
+
+    for (const newUser of approved) {
+      const outcome = {
+        sfId: '',
+        uscreenId: newUser.uscreenId,
+        email: newUser.email,
+        action: 'Create',
+        fields: {},
+        success: false,
+        error: ''
+      };
+
+      try {
+        let contact = newUser.email ? await this.salesforce.findContactByEmail(newUser.email) : null;
+        if (!contact) {
+          const created = await this.salesforce.createContact(this.buildContact(newUser));
+          if (!created.success) throw new Error(`Contact: ${this.formatErrors(created.errors)}`);
+          contact = { Id: created.id, AccountId: null };
+          outcome.action = 'Create Contact + Program Role';
+        }
+
+        const status = statusMapping.resolve(newUser.uscreenUser);
+        const f = this.fields;
+        outcome.fields = {
+          [f.contactId]: contact.Id,
+          ...(contact.AccountId ? { [f.accountId]: contact.AccountId } : {}),
+          [f.uscreenMemberId]: newUser.uscreenId,
+          ...(status ? { [f.uscreenSubscriptionStatus]: status.sfStatus, [f.active]: status.active } : {}),
+          ...(newUser.latestPayment && newUser.latestPayment.chargeDate ?
+            { [f.uscreenLastPaymentDate]: newUser.latestPayment.chargeDate.toISOString().split('T')[0] } : {})
+        };
+
+        const role = await this.salesforce.createProgramRole(outcome.fields);
+        if (!role.success) throw new Error(this.formatErrors(role.errors));
+
+        outcome.sfId = role.id;
+        outcome.success = true;
+        reviewStore.markCreated(newUser.uscreenId, newUser.email, role.id);
+      } catch (e) {
+        outcome.error = e.message;
+      }
+
+      results.push(outcome);
+    }
+
+    return results;
+  }
+
+  buildContact(newUser) {
+    // LastName is the only required Contact field
+    const parts = (newUser.uscreenUser.name || '').trim().split(/\s+/).filter(Boolean);
+    const lastName = parts.length > 0 ? parts.pop() : newUser.email;
+    return {
+      FirstName: parts.join(' ') || undefined,
+      LastName: lastName,
+      Email: newUser.email || undefined
+    };
+  }
+
+  formatErrors(errors) {
+    if (!errors || errors.length === 0) return 'Unknown error';
+    return errors.map(e => (typeof e === 'string' ? e : e.message || JSON.stringify(e))).join('; ');
+  }
+}
+
+module.exports = SalesforceUpdater;
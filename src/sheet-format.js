@@ -0,0 +1,171 @@
+/**
+ * Sheet Format
+ * Per-tab formatting for the sync spreadsheet: bold frozen header row,
+ * filter, date/currency number formats and conditional highlighting.
+ * Builds Sheets API batchUpdate requests - GoogleSheetsClient sends them.
+ */
+
+const DATE_FORMAT = { type: 'DATE', pattern: 'yyyy-mm-dd' };
+const CURRENCY_FORMAT = { type: 'CURRENCY', pattern: '"$"#,##0.00' };
+const PERCENT_FORMAT = { type: 'PERCENT', pattern: '0.0%' };
+
+const COLORS = {
+  header: { red: 0.9, green: 0.9, blue: 0.9 },
+  red: { red: 0.96, green: 0.8, blue: 0.8 },
+  green: { red: 0.85, green: 0.94, blue: 0.83 },
+  grey: { red: 0.93, green: 0.93, blue: 0.93 }
+};
+
+// Keyed by tab (see sheets.tabs in sync.config.json)
+// date/currency/percent: column names - a trailing * matches by prefix ('Revenue: *')
+// highlight: rows where `column` equals one of `values` get `color`
+const TAB_FORMATS = {
+  uscreenUsers: {
+    currency: ['Lifetime'],
+    highlight: [{ column: 'Status', values: ['cancelled', 'churned'], color: 'red' }]
+  },
+  uscreenPayments: {
+    date: ['Charge Date'],
+    currency: ['Amount'],
+    highlight: [
+      { column: 'Type', values: ['refund', 'chargeback'], color: 'red' },
+      { column: 'Type', values: ['failed'], color: 'grey' }
+    ]
+  },
+  sfData: {
+    date: ['Last Payment Date'],
+    highlight: [{ column: 'Active', values: ['No'], color: 'red' }]
+  },
+  needsUpdate: {
+    date: ['SF Last Payment', 'New Payment Date'],
+    currency: ['New Payment Amount']
+  },
+  newUsers: {
+    currency: ['Lifetime Amount']
+  },
+  cancelled: {
+    highlight: [{ column: 'New Status', values: ['Cancelled', 'Churned'], color: 'red' }]
+  },
+  reactivated: {
+    highlight: [{ column: 'New Active', values: ['Yes'], color: 'green' }]
+  },
+  statusMismatch: {},
+  planMismatch: {
+    date: ['Charge Date'],
+    currency: ['Charge Amount', 'SF Subscription Cost', 'Suggested Subscription Cost']
+  },
+  sfMissing: {
+    date: ['Last Payment Date'],
+    highlight: [{ column: 'Active', values: ['Yes'], color: 'red' }]
+  },
+  activeMismatch: {
+    highlight: [
+      { column: 'Expected Active', values: ['No'], color: 'red' },
+      { column: 'Expected Active', values: ['Yes'], color: 'green' }
+    ]
+  },
+  ambiguous: {},
+  refunded: {
+    date: ['Last Reversal'],
+    currency: ['Reversed Amount', 'Net Paid']
+  },
+  changes: {
+    highlight: [
+      { column: 'Change', values: ['newly cancelled', 'newly churned'], color: 'red' },
+      { column: 'Change', values: ['reactivated'], color: 'green' }
+    ]
+  },
+  metrics: {
+    currency: ['Revenue', 'MRR', 'Revenue: *'],
+    percent: ['Churn Rate']
+  },
+  applyResults: {
+    highlight: [{ column: 'Result', values: ['FAILED'], color: 'red' }]
+  },
+  syncLog: {
+    highlight: [{ column: 'Status', values: ['FAILED'], color: 'red' }]
+  }
+};
+
+// Resolved rows on upserted tabs are greyed out
+const RESOLVED_HIGHLIGHT = { column: 'Row Status', values: ['RESOLVED'], color: 'grey' };
+
+function columnLetter(index) {
+  let letter = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+// Indexes of the header columns a tab formats as `kind` (date, currency or percent)
+function formatColumns(tabKey, kind, header) {
+  const names = (TAB_FORMATS[tabKey] || {})[kind] || [];
+  const matches = (h) => names.some(n => (n.endsWith('*') ? String(h).startsWith(n.slice(0, -1)) : h === n));
+  return header.map((h, i) => (matches(h) ? i : -1)).filter(i => i >= 0);
+}
+
+// header: the tab's header row; addConditional: false if the tab already has rules
+function buildFormatRequests(sheetId, tabKey, header, addConditional) {
+  const format = TAB_FORMATS[tabKey] || {};
+  const requests = [
+    {
+      repeatCell: {
+        range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+        cell: { userEnteredFormat: { textFormat: { bold: true }, backgroundColor: COLORS.header } },
+        fields: 'userEnteredFormat(textFormat,backgroundColor)'
+      }
+    },
+    {
+      updateSheetProperties: {
+        properties: { sheetId, gridProperties: { frozenRowCount: 1 } },
+        fields: 'gridProperties.frozenRowCount'
+      }
+    },
+    { setBasicFilter: { filter: { range: { sheetId } } } }
+  ];
+
+  const numberFormats = [
+    ...formatColumns(tabKey, 'date', header).map(index => [index, DATE_FORMAT]),
+    ...formatColumns(tabKey, 'currency', header).map(index => [index, CURRENCY_FORMAT]),
+    ...formatColumns(tabKey, 'percent', header).map(index => [index, PERCENT_FORMAT])
+  ];
+  for (const [index, numberFormat] of numberFormats) {
+    requests.push({
+      repeatCell: {
+        range: { sheetId, startRowIndex: 1, startColumnIndex: index, endColumnIndex: index + 1 },
+        cell: { userEnteredFormat: { numberFormat } },
+        fields: 'userEnteredFormat.numberFormat'
+      }
+    });
+  }
+
+  // Conditional rules would stack up on every run - only add them once
+  if (addConditional) {
+    const highlights = [...(format.highlight || [])];
+    if (header.includes(RESOLVED_HIGHLIGHT.column)) highlights.push(RESOLVED_HIGHLIGHT);
+
+    for (const h of highlights) {
+      const index = header.indexOf(h.column);
+      if (index === -1) continue;
+      const cell = `$${columnLetter(index)}2`;
+      const formula = `=OR(${h.values.map(v => `${cell}="${v}"`).join(',')})`;
+      requests.push({
+        addConditionalFormatRule: {
+          rule: {
+            ranges: [{ sheetId, startRowIndex: 1 }],
+            booleanRule: {
+              condition: { type: 'CUSTOM_FORMULA', values: [{ userEnteredValue: formula }] },
+              format: { backgroundColor: COLORS[h.color] }
+            }
+          },
+          index: 0
+        }
+      });
+    }
+  }
+
+  return requests;
+}
+
+module.exports = { TAB_FORMATS, buildFormatRequests, formatColumns, columnLetter };
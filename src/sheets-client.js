@@ -1,16 +1,37 @@
 /**
  * Google Sheets Client
- * Writes sync results to Google Sheets with multiple tabs
+ * Writes sync results to Google Sheets with multiple tabs.
+ * Creates missing tabs, formats them, and sends all values in batched requests.
  */
 
 const { google } = require('googleapis');
 const fs = require('fs');
+const { buildFormatRequests } = require('./sheet-format');
+const { buildTables } = require('./report-tables');
+
+// Review tabs (by key) with a Decision column, read back on the next run
+const REVIEW_TABS = ['newUsers', 'ambiguous'];
+
+// Keep each values.batchUpdate request well under the API payload limit
+const MAX_CELLS_PER_REQUEST = 200000;
+
+// Columns the upsert mode adds to result tabs
+const ROW_STATUS_HEADER = 'Row Status';
+const RESOLVED_ON_HEADER = 'Resolved On';
 
 class GoogleSheetsClient {
   constructor(config) {
     this.spreadsheetId = config.spreadsheetId;
     this.credentialsPath = config.credentialsPath;
+    // 'upsert' keeps result tab rows, reviewer notes and extra columns; 'replace' rewrites tabs
+    this.writeMode = config.writeMode || 'upsert';
+    // Tab names and columns from sync.config.json
+    this.layout = config.layout;
+    // Sandbox runs pass a fake Sheets API instead of authenticating with Google
+    this.api = config.api || null;
     this.sheets = null;
+    this.sheetIds = new Map();
+    this.pendingWrites = [];
   }
 
   async authenticate() {
@@ -27,8 +48,10 @@ class GoogleSheetsClient {
     
     let auth;
     
-    // Check if running in GitHub Actions (uses GOOGLE_CREDENTIALS env var)
-    if (process.env.GOOGLE_CREDENTIALS) {
+    if (this.api) {
+      console.log('   🧪 Using sandbox Sheets API (no Google credentials)');
+    } else if (process.env.GOOGLE_CREDENTIALS) {
+      // Running in GitHub Actions (uses GOOGLE_CREDENTIALS env var)
       console.log(`   📝 GOOGLE_CREDENTIALS length: ${process.env.GOOGLE_CREDENTIALS.length} chars`);
       let credentials;
       try {
@@ -50,7 +73,7 @@ class GoogleSheetsClient {
       });
     }
 
-    this.sheets = google.sheets({ version: 'v4', auth });
+    this.sheets = this.api || google.sheets({ version: 'v4', auth });
     
     // Verify access to spreadsheet
     try {
@@ -60,8 +83,10 @@ class GoogleSheetsClient {
       console.log(`   ✅ Connected to: "${response.data.properties.title}"`);
       
       // List existing sheets
-      const sheetNames = response.data.sheets.map(s => s.properties.title);
-      console.log(`   📑 Existing tabs: ${sheetNames.join(', ')}`);
+      for (const sheet of response.data.sheets) {
+        this.sheetIds.set(sheet.properties.title, sheet.properties.sheetId);
+      }
+      console.log(`   📑 Existing tabs: ${Array.from(this.sheetIds.keys()).join(', ')}`);
     } catch (e) {
       console.error(`   ❌ Cannot access spreadsheet: ${e.message}`);
       throw e;
@@ -74,140 +99,267 @@ class GoogleSheetsClient {
     }
 
     const timestamp = new Date().toISOString();
+    const tables = buildTables(data, timestamp, this.layout);
 
-    // Write to multiple sheets
-    await this.writeUscreenUsers(data.uscreenUsers, timestamp);
-    await this.writeUscreenPayments(data.uscreenPayments, timestamp);
-    await this.writeSFData(data.sfData, timestamp);
-    await this.writeNeedsUpdate(data.comparison.needsUpdate, timestamp);
-    await this.writeNewUsers(data.comparison.newUsers, timestamp);
-    await this.writeCancelled(data.comparison.cancelled, timestamp);
-  }
+    // Create any missing tabs up front so reads and writes can't fail on them
+    await this.ensureTabs(tables.map(t => t.name));
 
-  async writeUscreenUsers(users, timestamp) {
-    const headers = ['User ID', 'Name', 'Email', 'Status', 'Lifetime', 'Segment', 'Created Date', 'Sync Time'];
-    const rows = users.map(u => [
-      u['User ID'] || u.user_id || '',
-      u['User Name'] || u.name || '',
-      u['User email'] || u.email || '',
-      u.Status || u.status || '',
-      u.Lifetime || u.lifetime || '',
-      u.Segment || u.segment || '',
-      u['Created on date'] || u.created_date || '',
-      timestamp
-    ]);
-
-    await this.writeSheet('Uscreen Users', headers, rows);
+    // Queue every tab, then send them together
+    this.pendingWrites = [];
+    for (const table of tables) {
+      if (table.upsert && this.writeMode === 'upsert') {
+        await this.upsertSheet(table);
+      } else {
+        await this.writeSheet(table);
+      }
+    }
+
+    await this.flushWrites();
   }
 
-  async writeUscreenPayments(payments, timestamp) {
-    const headers = ['Email', 'Name', 'Charge Date', 'Amount', 'Subscription', 'Coupon', 'Payment ID', 'Sync Time'];
-    
-    // Filter out $0 payments
-    const paidPayments = payments.filter(p => {
-      const amount = parseFloat(p['Charge Amount'] || p.charge_amount || p.amount || 0);
-      return amount > 0;
+  // One row per run - appended, never rewritten
+  async appendSyncLog(headers, row) {
+    if (!this.sheets) {
+      await this.authenticate();
+    }
+
+    const sheetName = this.layout.tabs.syncLog;
+    await this.ensureTabs([sheetName]);
+
+    const existing = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${sheetName}!A1:1`
     });
+    // Written on the first run, and again when a release adds columns
+    const header = existing.data.values && existing.data.values[0];
+    if (!header || header.join('\t') !== headers.join('\t')) {
+      await this.sheets.spreadsheets.values.update({
+        spreadsheetId: this.spreadsheetId,
+        range: `${sheetName}!A1`,
+        valueInputOption: 'USER_ENTERED',
+        resource: { values: [headers] }
+      });
+      await this.formatTabs([{ sheetName, tabKey: 'syncLog', values: [headers] }]);
+    }
 
-    const rows = paidPayments.map(p => [
-      p.Email || p.email || '',
-      p.Name || p.name || '',
-      p['Charge Date'] || p.charge_date || '',
-      p['Charge Amount'] || p.charge_amount || p.amount || '',
-      p.Subscription || p.subscription || '',
-      p.Coupon || p.coupon || '',
-      p['Payment ID'] || p.payment_id || '',
-      timestamp
-    ]);
-
-    await this.writeSheet('Uscreen Payments', headers, rows);
+    await this.sheets.spreadsheets.values.append({
+      spreadsheetId: this.spreadsheetId,
+      range: `${sheetName}!A1`,
+      valueInputOption: 'USER_ENTERED',
+      insertDataOption: 'INSERT_ROWS',
+      resource: { values: [row] }
+    });
+    console.log(`   📝 Appended run to "${sheetName}"`);
   }
 
-  async writeSFData(sfData, timestamp) {
-    const headers = ['SF ID', 'Name', 'Contact Email', 'Uscreen ID', 'Active', 'Subscription Status', 'Last Payment Date', 'Sync Time'];
-    const rows = sfData.map(r => [
-      r.sfId,
-      r.name,
-      r.contactEmail,
-      r.uscreenMemberId,
-      r.active ? 'Yes' : 'No',
-      r.uscreenSubscriptionStatus || '',
-      r.uscreenLastPaymentDate || '',
-      timestamp
-    ]);
-
-    await this.writeSheet('Salesforce Data', headers, rows);
-  }
+  async ensureTabs(sheetNames) {
+    const missing = sheetNames.filter(name => !this.sheetIds.has(name));
+    if (missing.length === 0) return;
+
+    const response = await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        requests: missing.map(title => ({ addSheet: { properties: { title } } }))
+      }
+    });
 
-  async writeNeedsUpdate(needsUpdate, timestamp) {
-    const headers = ['SF ID', 'Uscreen ID', 'Email', 'SF Last Payment', 'New Payment Date', 'New Payment Amount', 'Action', 'Sync Time'];
-    const rows = needsUpdate.map(r => [
-      r.sfRecord.sfId,
-      r.uscreenId,
-      r.email,
-      r.sfLastPaymentDate ? r.sfLastPaymentDate.toISOString().split('T')[0] : '',
-      r.uscreenLastPaymentDate ? r.uscreenLastPaymentDate.toISOString().split('T')[0] : '',
-      r.latestPayment?.amount || '',
-      'UPDATE SF',
-      timestamp
-    ]);
-
-    await this.writeSheet('Needs Update', headers, rows);
+    for (const reply of response.data.replies) {
+      const { title, sheetId } = reply.addSheet.properties;
+      this.sheetIds.set(title, sheetId);
+    }
+    console.log(`   ➕ Created tab(s): ${missing.join(', ')}`);
   }
 
-  async writeNewUsers(newUsers, timestamp) {
-    const headers = ['Uscreen ID', 'Email', 'Name', 'Status', 'Lifetime Amount', 'Action', 'Sync Time'];
-    const rows = newUsers.map(r => [
-      r.uscreenId,
-      r.email,
-      r.uscreenUser['User Name'] || r.uscreenUser.name || '',
-      r.status,
-      r.lifetime,
-      'MANUAL REVIEW',
-      timestamp
-    ]);
-
-    await this.writeSheet('New Users (Review)', headers, rows);
+  async flushWrites() {
+    const writes = this.pendingWrites;
+    this.pendingWrites = [];
+
+    // Replace-mode tabs are cleared in one request
+    const toClear = writes.filter(w => w.clear).map(w => w.sheetName);
+    if (toClear.length > 0) {
+      await this.sheets.spreadsheets.values.batchClear({
+        spreadsheetId: this.spreadsheetId,
+        resource: { ranges: toClear }
+      });
+    }
+
+    // Split large tabs into row blocks and group blocks into requests by cell count
+    const requests = [[]];
+    let cellsInRequest = 0;
+    for (const write of writes) {
+      const width = Math.max(1, ...write.values.map(r => r.length));
+      const rowsPerBlock = Math.max(1, Math.floor(MAX_CELLS_PER_REQUEST / width));
+
+      for (let start = 0; start < write.values.length; start += rowsPerBlock) {
+        const block = write.values.slice(start, start + rowsPerBlock);
+        const cells = block.length * width;
+        if (cellsInRequest > 0 && cellsInRequest + cells > MAX_CELLS_PER_REQUEST) {
+          requests.push([]);
+          cellsInRequest = 0;
+        }
+        requests[requests.length - 1].push({ range: `${write.sheetName}!A${start + 1}`, values: block });
+        cellsInRequest += cells;
+      }
+    }
+
+    for (const data of requests.filter(r => r.length > 0)) {
+      await this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: { valueInputOption: 'USER_ENTERED', data }
+      });
+    }
+    console.log(`   📤 Sent ${writes.length} tab(s) in ${requests.length} request(s)`);
+
+    await this.formatTabs(writes);
   }
 
-  async writeCancelled(cancelled, timestamp) {
-    const headers = ['SF ID', 'Uscreen ID', 'Email', 'Previous Status', 'New Status', 'Action', 'Sync Time'];
-    const rows = cancelled.map(r => [
-      r.sfRecord.sfId,
-      r.uscreenId,
-      r.email,
-      r.previousStatus || 'Unknown',
-      r.newStatus,
-      'UPDATE STATUS',
-      timestamp
-    ]);
-
-    await this.writeSheet('Cancelled', headers, rows);
+  async formatTabs(writes) {
+    // Existing conditional rules mean the tab was formatted before
+    const response = await this.sheets.spreadsheets.get({
+      spreadsheetId: this.spreadsheetId,
+      fields: 'sheets(properties(sheetId,title),conditionalFormats)'
+    });
+    const hasRules = new Set(response.data.sheets
+      .filter(s => (s.conditionalFormats || []).length > 0)
+      .map(s => s.properties.title));
+
+    const requests = writes.flatMap(w => buildFormatRequests(
+      this.sheetIds.get(w.sheetName),
+      w.tabKey,
+      w.values[0],
+      !hasRules.has(w.sheetName)
+    ));
+
+    await this.sheets.spreadsheets.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: { requests }
+    });
+    console.log(`   🎨 Formatted ${writes.length} tab(s)`);
   }
 
-  async writeSheet(sheetName, headers, rows) {
-    // Clear existing content and write new data
-    const range = `${sheetName}!A1`;
-    const values = [headers, ...rows];
+  async readDecisions() {
+    if (!this.sheets) {
+      await this.authenticate();
+    }
 
-    try {
-      // First, try to clear the sheet
-      await this.sheets.spreadsheets.values.clear({
+    const decisions = [];
+    for (const sheetName of REVIEW_TABS.map(key => this.layout.tabs[key])) {
+      // Tab doesn't exist yet - nothing to read. Any other read error fails the run
+      if (!this.sheetIds.has(sheetName)) continue;
+
+      const response = await this.sheets.spreadsheets.values.get({
         spreadsheetId: this.spreadsheetId,
-        range: `${sheetName}!A:Z`
+        range: sheetName
       });
-    } catch (e) {
-      // Sheet might not exist, will be created with update
+      const [headers = [], ...rows] = response.data.values || [];
+      const idCol = headers.indexOf('Uscreen ID');
+      const emailCol = headers.indexOf('Email');
+      const decisionCol = headers.findIndex(h => String(h).startsWith('Decision'));
+      if (decisionCol === -1) continue;
+
+      for (const row of rows) {
+        const decision = (row[decisionCol] || '').trim();
+        if (!decision) continue;
+        decisions.push({
+          tab: sheetName,
+          uscreenId: idCol >= 0 ? row[idCol] || '' : '',
+          email: emailCol >= 0 ? (row[emailCol] || '').toLowerCase() : '',
+          decision
+        });
+      }
     }
 
-    await this.sheets.spreadsheets.values.update({
+    console.log(`   📝 Read ${decisions.length} reviewer decision(s)`);
+    return decisions;
+  }
+
+  // Errors propagate - writing over a tab we couldn't read would lose its rows and notes
+  async readSheet(sheetName) {
+    // FORMULA so user formulas survive being written back
+    const response = await this.sheets.spreadsheets.values.get({
       spreadsheetId: this.spreadsheetId,
-      range: range,
-      valueInputOption: 'USER_ENTERED',
-      resource: { values }
+      range: sheetName,
+      valueRenderOption: 'FORMULA'
     });
+    return response.data.values || [];
+  }
+
+  async upsertSheet(table) {
+    const { name: sheetName, key: tabKey, headers, rows } = table;
+    const { keyColumns, preserveColumns = [] } = table.upsert;
+    const today = new Date().toISOString().split('T')[0];
+
+    const existing = await this.readSheet(sheetName);
+    const header = existing[0] ? [...existing[0]] : [];
+    const body = existing.slice(1).map(r => [...r]);
+
+    // Find our columns in the existing header - user-added columns stay where they are
+    const col = {};
+    for (const h of [...headers, ROW_STATUS_HEADER, RESOLVED_ON_HEADER]) {
+      if (!header.includes(h)) header.push(h);
+      col[h] = header.indexOf(h);
+    }
+
+    const keyOf = (get) => {
+      for (const k of keyColumns) {
+        const value = String(get(k) ?? '').trim();
+        if (value) return `${k}:${value}`;
+      }
+      return null;
+    };
+
+    const rowByKey = new Map();
+    for (const r of body) {
+      const key = keyOf(h => r[col[h]]);
+      if (key) rowByKey.set(key, r);
+    }
+
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+    for (const values of rows) {
+      const key = keyOf(h => values[headers.indexOf(h)]);
+      let target = key && rowByKey.get(key);
+      if (target) {
+        updated++;
+      } else {
+        target = [];
+        body.push(target);
+        if (key) rowByKey.set(key, target);
+        added++;
+      }
+      if (key) seen.add(key);
+
+      headers.forEach((h, i) => {
+        // Reviewer-owned columns are only filled in when still empty
+        const current = target[col[h]];
+        if (preserveColumns.includes(h) && current !== undefined && current !== '') return;
+        target[col[h]] = values[i];
+      });
+      target[col[ROW_STATUS_HEADER]] = 'OPEN';
+      target[col[RESOLVED_ON_HEADER]] = '';
+    }
+
+    // Rows that dropped out of this run's results are resolved, not deleted
+    let resolved = 0;
+    for (const [key, r] of rowByKey) {
+      if (seen.has(key) || r[col[ROW_STATUS_HEADER]] === 'RESOLVED') continue;
+      r[col[ROW_STATUS_HEADER]] = 'RESOLVED';
+      r[col[RESOLVED_ON_HEADER]] = today;
+      resolved++;
+    }
+
+    const values = [header, ...body].map(r => header.map((_, i) => r[i] ?? ''));
+    this.pendingWrites.push({ sheetName, tabKey, values, clear: false });
+
+    console.log(`   📝 Upserted "${sheetName}": ${added} new, ${updated} updated, ${resolved} resolved`);
+  }
+
+  async writeSheet(table) {
+    // Queued - the tab is cleared and rewritten by flushWrites()
+    this.pendingWrites.push({ sheetName: table.name, tabKey: table.key, values: [table.headers, ...table.rows], clear: true });
 
-    console.log(`   📝 Wrote ${rows.length} rows to "${sheetName}"`);
+    console.log(`   📝 Prepared ${table.rows.length} rows for "${table.name}"`);
   }
 }
 
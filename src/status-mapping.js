@@ -0,0 +1,82 @@
+/**
+ * Status Mapping
+ * Maps Uscreen statuses and segments to Salesforce
+ * Uscreen_Subscription_Status__c picklist values and Active__c.
+ * Defaults can be overridden by statuses and segments in sync.config.json:
+ *
+ * {
+ *   "statuses": { "past due": { "sfStatus": "Delinquent", "active": true } },
+ *   "segments": { "win-back": "cancelled" }
+ * }
+ */
+
+const DEFAULT_STATUSES = {
+  'active': { sfStatus: 'Active', active: true },
+  'trialing': { sfStatus: 'Trialing', active: true },
+  'past due': { sfStatus: 'Past Due', active: true },
+  'paused': { sfStatus: 'Paused', active: false },
+  'cancelled': { sfStatus: 'Cancelled', active: false },
+  'churned': { sfStatus: 'Churned', active: false }
+};
+
+// Other spellings Uscreen uses for the same status
+const STATUS_ALIASES = {
+  'trial': 'trialing',
+  'in trial': 'trialing',
+  'pastdue': 'past due',
+  'canceled': 'cancelled'
+};
+
+// Segment substring → status; a matching segment overrides the status column
+const DEFAULT_SEGMENTS = {
+  'churned': 'churned'
+};
+
+function normalizeKey(value) {
+  return String(value || '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+class StatusMapping {
+  constructor(config = {}) {
+    this.statuses = { ...DEFAULT_STATUSES };
+    for (const [key, value] of Object.entries(config.statuses || {})) {
+      this.statuses[normalizeKey(key)] = value;
+    }
+
+    this.segments = { ...DEFAULT_SEGMENTS };
+    for (const [key, value] of Object.entries(config.segments || {})) {
+      this.segments[normalizeKey(key)] = normalizeKey(value);
+    }
+
+    for (const [segment, status] of Object.entries(this.segments)) {
+      if (!this.statuses[status]) {
+        throw new Error(`Status mapping: segment "${segment}" points at unknown status "${status}"`);
+      }
+    }
+  }
+
+  // Returns { key, sfStatus, active } for a Uscreen user, or null if unmapped
+  resolve(user) {
+    const segment = normalizeKey(user.segment);
+    const segmentKey = Object.keys(this.segments).find(s => segment.includes(s));
+    let key = segmentKey ? this.segments[segmentKey] : normalizeKey(user.status);
+    key = STATUS_ALIASES[key] || key;
+
+    const mapped = this.statuses[key];
+    return mapped ? { key, ...mapped } : null;
+  }
+
+  // Returns { key, sfStatus, active } for an SF record's current values
+  resolveSalesforce(sfRecord) {
+    const sfStatus = normalizeKey(sfRecord.uscreenSubscriptionStatus);
+    const entry = Object.entries(this.statuses).find(([, m]) => normalizeKey(m.sfStatus) === sfStatus);
+
+    return {
+      key: entry ? entry[0] : null,
+      sfStatus: sfRecord.uscreenSubscriptionStatus || '',
+      active: !!sfRecord.active
+    };
+  }
+}
+
+module.exports = StatusMapping;
@@ -0,0 +1,60 @@
+/**
+ * Sync Config
+ * Loads sync.config.json (SF object and field names, tab names and columns,
+ * Uscreen URLs, business rules) and validates it against
+ * sync.config.schema.json before anything runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const { checkLayout } = require('./report-tables');
+
+const DEFAULT_PATH = path.join(__dirname, '../sync.config.json');
+const SCHEMA_PATH = path.join(__dirname, '../sync.config.schema.json');
+
+function loadSyncConfig(filePath) {
+  const configPath = filePath || DEFAULT_PATH;
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Sync config not found: ${configPath}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (e) {
+    throw new Error(`Sync config ${configPath} is not valid JSON: ${e.message}`);
+  }
+
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf-8'));
+  const validate = new Ajv({ allErrors: true }).compile(schema);
+  if (!validate(config)) {
+    const problems = validate.errors.map(e => {
+      const extra = e.params.additionalProperty ? `: "${e.params.additionalProperty}"` : '';
+      return `   - ${e.instancePath || '(root)'} ${e.message}${extra}`;
+    });
+    throw new Error(`Sync config ${configPath} is invalid:\n${problems.join('\n')}`);
+  }
+
+  // Rules the schema can't express
+  const names = Object.values(config.sheets.tabs);
+  const duplicates = names.filter((name, i) => names.indexOf(name) !== i);
+  if (duplicates.length > 0) {
+    throw new Error(`Sync config ${configPath}: tab name(s) used twice: ${[...new Set(duplicates)].join(', ')}`);
+  }
+  checkLayout(toLayout(config));
+
+  console.log(`   ⚙️  Loaded sync config: ${configPath}`);
+  return config;
+}
+
+// The part of the config every output needs to build its tables
+function toLayout(config) {
+  return {
+    tabs: config.sheets.tabs,
+    columns: config.sheets.columns || {},
+    minPaymentAmount: config.rules.minPaymentAmount
+  };
+}
+
+module.exports = { loadSyncConfig, toLayout };
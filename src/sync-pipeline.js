@@ -0,0 +1,319 @@
+/**
+ * Sync Pipeline
+ * The sync as separate steps (scrape, pull-sf, compare, apply, publish).
+ * Each step saves its output as a run artifact and loads the previous
+ * step's artifact when run on its own; 'sync' chains them all.
+ */
+
+const UscreenScraper = require('./uscreen-scraper');
+const LocalCsvSource = require('./csv-source');
+const UscreenApiSource = require('./uscreen-api-source');
+const SalesforceClient = require('./salesforce-client');
+const DataComparer = require('./data-comparer');
+const UscreenRecords = require('./uscreen-records');
+const RunHistory = require('./run-history');
+const StatusMapping = require('./status-mapping');
+const ReviewStore = require('./review-store');
+const SalesforceUpdater = require('./salesforce-updater');
+const { CsvOutput, JsonOutput, XlsxOutput } = require('./file-outputs');
+
+const COMMANDS = ['sync', 'scrape', 'pull-sf', 'compare', 'apply', 'publish'];
+
+class SyncPipeline {
+  constructor(config, options) {
+    this.config = config;
+    this.options = options;
+    this.runId = options.runId;
+    this.metrics = options.metrics;
+    this.sheets = options.sheets;
+    this.artifacts = options.artifacts;
+
+    this.salesforce = new SalesforceClient(config.salesforce);
+    this.reviewStore = new ReviewStore(config.history);
+    this.statusMapping = new StatusMapping(config.statusMapping);
+    this.history = new RunHistory(config.history);
+    this.comparison = null;
+  }
+
+  get usesSheets() {
+    return this.options.outputTypes.includes('sheets');
+  }
+
+  async run(command) {
+    switch (command) {
+      case 'sync':
+        return this.sync();
+      case 'scrape':
+        return this.scrape();
+      case 'pull-sf':
+        await this.validateSalesforce();
+        await this.readDecisions();
+        return this.pullSalesforce();
+      case 'compare':
+        await this.readDecisions();
+        return this.compare(this.load('scrape'), this.load('pull-sf'));
+      case 'apply':
+        if (this.options.isDryRun) {
+          console.log('\n📤 Apply: (Skipped - Dry Run)');
+          return null;
+        }
+        return this.apply(this.load('compare'));
+      case 'publish': {
+        const uscreenData = this.load('scrape');
+        const sfData = this.load('pull-sf');
+        const comparison = this.load('compare');
+        // The counts came from earlier steps - record them again for this run's log and notification
+        this.metrics.record({ users: uscreenData.users.length, payments: uscreenData.payments.length, sfRecords: sfData.length });
+        this.recordComparison(comparison);
+        return this.publish(
+          uscreenData,
+          sfData,
+          comparison,
+          this.artifacts.has(this.runId, 'apply') ? this.load('apply') : null
+        );
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (use ${COMMANDS.join(', ')})`);
+    }
+  }
+
+  async sync() {
+    const { isDryRun, isApply } = this.options;
+
+    this.metrics.start('validate');
+    await this.validateSalesforce();
+    await this.readDecisions();
+    this.metrics.stop('validate');
+
+    const uscreenData = await this.scrape();
+    const sfData = await this.pullSalesforce();
+    const comparison = await this.compare(uscreenData, sfData);
+
+    let applyResults = null;
+    if (isApply && !isDryRun) {
+      applyResults = await this.apply(comparison);
+    } else {
+      console.log(`\n📤 Step 4: (Skipped - ${isDryRun ? 'Dry Run' : 'use --apply to update Salesforce'})`);
+    }
+
+    await this.publish(uscreenData, sfData, comparison, applyResults);
+  }
+
+  load(step) {
+    return this.artifacts.load(this.runId, step);
+  }
+
+  save(step, data) {
+    const filePath = this.artifacts.save(this.runId, step, data);
+    console.log(`   💾 Saved ${step} artifact: ${filePath}`);
+  }
+
+  async validateSalesforce() {
+    // Check SF fields up front so a renamed field fails before the scrape
+    console.log('\n🔎 Validating Salesforce fields...');
+    await this.salesforce.validateSchema();
+  }
+
+  async readDecisions() {
+    // Read last run's reviewer decisions before the tabs are rewritten
+    if (!this.usesSheets) return;
+
+    console.log('\n📝 Reading reviewer decisions from Google Sheets...');
+    const counts = this.reviewStore.recordDecisions(await this.sheets.readDecisions());
+    this.reviewStore.save();
+    console.log(`   ✅ Approved: ${counts.approve}, Rejected: ${counts.reject}, Linked: ${counts.link}`);
+    for (const d of counts.unrecognized) {
+      console.log(`   ⚠️  Unrecognized decision "${d.decision}" for ${d.uscreenId || d.email} (${d.tab})`);
+    }
+  }
+
+  // Step 1: Scrape Uscreen data (or load it from local CSVs or the API)
+  async scrape() {
+    const localInput = this.options.localInput;
+    this.metrics.start('scrape');
+
+    let uscreenData;
+    if (Object.values(localInput).some(Boolean)) {
+      console.log('\n📥 Step 1: Loading Uscreen exports from local CSV files...');
+      uscreenData = await new LocalCsvSource(localInput).load();
+    } else if (this.config.uscreen.source === 'api') {
+      console.log('\n📥 Step 1: Pulling Uscreen customers and payments from the API...');
+      const api = new UscreenApiSource({
+        ...this.config.uscreen.api,
+        apiKey: this.config.uscreen.apiKey,
+        retry: this.config.uscreen.retry
+      });
+      uscreenData = await api.load();
+    } else {
+      console.log('\n📥 Step 1: Scraping Uscreen exports...');
+      const uscreen = new UscreenScraper(this.config.uscreen);
+      uscreenData = await uscreen.scrapeAll();
+    }
+
+    // Normalize export columns into canonical records
+    const normalized = new UscreenRecords().normalize(uscreenData);
+    uscreenData = { users: normalized.users, payments: normalized.payments };
+    if (normalized.errors.length > 0) {
+      console.log(`   ⚠️  Skipped ${normalized.errors.length} unparseable row(s):`);
+      for (const e of normalized.errors.slice(0, 10)) {
+        console.log(`      ${e.type} row ${e.row}: ${e.reason}`);
+      }
+    }
+    console.log(`   ✅ Users: ${uscreenData.users.length} records`);
+    console.log(`   ✅ Payments: ${uscreenData.payments.length} records`);
+    this.save('scrape', uscreenData);
+    this.metrics.stop('scrape');
+    this.metrics.record({ users: uscreenData.users.length, payments: uscreenData.payments.length });
+
+    return uscreenData;
+  }
+
+  // Step 2: Pull Salesforce data
+  async pullSalesforce() {
+    console.log('\n📥 Step 2: Pulling Salesforce Program Roles...');
+    this.metrics.start('salesforce');
+    // Manually linked records are fetched even when salesforce.where leaves them out
+    const sfData = await this.salesforce.getProgramRoles(Array.from(this.reviewStore.getLinks().values()));
+    console.log(`   ✅ SF Records: ${sfData.length} records`);
+    this.save('pull-sf', sfData);
+    this.metrics.stop('salesforce');
+    this.metrics.record({ sfRecords: sfData.length });
+
+    return sfData;
+  }
+
+  // Step 3: Compare data
+  async compare(uscreenData, sfData) {
+    console.log('\n🔍 Step 3: Comparing data...');
+    this.metrics.start('compare');
+    const previousRun = this.history.loadLatest(this.runId);
+    console.log(`   📜 Previous run: ${previousRun ? previousRun.runId : 'none (first run)'}`);
+    const comparer = new DataComparer({
+      matchByName: this.options.matchByName,
+      statusMapping: this.statusMapping,
+      reviewStore: this.reviewStore,
+      rules: this.config.rules,
+      plans: this.config.plans
+    });
+    const comparison = comparer.compare(uscreenData, sfData, previousRun);
+    this.comparison = comparison;
+    for (const link of comparer.unresolvedLinks()) {
+      console.log(`   ⚠️  Manual link ignored: ${link.user} → ${link.sfId} (no such ${this.config.salesforce.object} record)`);
+    }
+    console.log(`   ✅ Matched: ${comparison.matched.length}`);
+    console.log(`   ⚠️  New payments to update: ${comparison.needsUpdate.length}`);
+    console.log(`   🆕 New Uscreen users (no SF match): ${comparison.newUsers.length}`);
+    console.log(`   🔴 Cancelled: ${comparison.cancelled.length}`);
+    console.log(`   🟢 Reactivated: ${comparison.reactivated.length}`);
+    console.log(`   🟡 Status mismatches: ${comparison.statusMismatch.length}`);
+    console.log(`   🏷️  Plan mismatches: ${comparison.planMismatch.length}`);
+    console.log(`   👻 SF records missing from Uscreen: ${comparison.sfMissing.length}`);
+    console.log(`   ⚖️  SF Active__c disagreements: ${comparison.activeMismatch.length}`);
+    console.log(`   ❓ Ambiguous matches: ${comparison.ambiguous.length}`);
+    console.log(`   💸 Refunded or disputed: ${comparison.refunded.length}`);
+    console.log(`   🔄 Changes since last run: ${comparison.changes.length}`);
+    this.save('compare', comparison);
+    this.metrics.stop('compare');
+    this.recordComparison(comparison);
+
+    return comparison;
+  }
+
+  // Result counts for the Sync Log and notifications
+  recordComparison(comparison) {
+    this.metrics.record({
+      matched: comparison.matched.length,
+      needsUpdate: comparison.needsUpdate.length,
+      newUsers: comparison.newUsers.length,
+      cancelled: comparison.cancelled.length,
+      reactivated: comparison.reactivated.length,
+      statusMismatch: comparison.statusMismatch.length,
+      planMismatch: comparison.planMismatch.length,
+      refunded: comparison.refunded.length,
+      sfMissing: comparison.sfMissing.length,
+      activeMismatch: comparison.activeMismatch.length,
+      ambiguous: comparison.ambiguous.length,
+      noMatch: comparison.noMatch.length
+    });
+  }
+
+  // Step 4: Apply updates to Salesforce
+  async apply(comparison) {
+    console.log('\n📤 Step 4: Applying updates to Salesforce...');
+    this.comparison = comparison;
+    this.metrics.start('apply');
+    const updater = new SalesforceUpdater(this.salesforce);
+    const applyResults = await updater.apply(comparison);
+
+    // Reviewer-approved new users become Program_Roles__c records
+    const created = await updater.createApprovedUsers(comparison.newUsers, this.reviewStore, this.statusMapping);
+    this.reviewStore.save();
+    applyResults.push(...created);
+    console.log(`   🆕 Approved new users: ${created.length}`);
+
+    const failed = applyResults.filter(r => !r.success);
+    console.log(`   ✅ Updated: ${applyResults.length - failed.length}`);
+    console.log(`   ❌ Failed: ${failed.length}`);
+    for (const f of failed) {
+      console.log(`      ${f.sfId} (${f.email}): ${f.error}`);
+    }
+    this.save('apply', applyResults);
+    this.metrics.stop('apply');
+    this.metrics.record({ sfWritesOk: applyResults.length - failed.length, sfWritesFailed: failed.length });
+
+    return applyResults;
+  }
+
+  // Step 5: Write results to every selected output
+  async publish(uscreenData, sfData, comparison, applyResults) {
+    const { outputTypes, outputDir, isDryRun } = this.options;
+    this.comparison = comparison;
+
+    if (outputTypes.length > 0) {
+      console.log(`\n📤 Step 5: Writing results (${outputTypes.join(', ')})...`);
+      this.metrics.start('publish');
+
+      // Keep pending decisions visible on the rewritten review tabs
+      for (const item of [...comparison.newUsers, ...comparison.ambiguous]) {
+        item.decision = this.reviewStore.getDecisionLabel(item.uscreenId, item.email);
+      }
+
+      for (const output of this.createOutputs()) {
+        await output.sink.writeResults({
+          uscreenUsers: uscreenData.users,
+          uscreenPayments: uscreenData.payments,
+          sfData: sfData,
+          comparison: comparison,
+          applyResults: applyResults
+        });
+        console.log(`   ✅ ${output.type === 'sheets' ? 'Google Sheets updated!' : `${output.type.toUpperCase()} report written to ${outputDir}`}`);
+      }
+      this.metrics.stop('publish');
+    } else {
+      console.log('\n📤 Step 5: (Skipped - no outputs selected)');
+    }
+
+    // Only completed, non-dry runs become the baseline for the next run
+    if (!isDryRun) {
+      const snapshotPath = this.history.save(this.runId, uscreenData, comparison);
+      console.log(`   📜 Saved run snapshot: ${snapshotPath}`);
+    }
+    this.save('publish', { outputs: outputTypes, outputDir: outputDir, dryRun: isDryRun });
+  }
+
+  createOutputs() {
+    const dir = this.options.outputDir;
+    const layout = this.config.sheets.layout;
+    return this.options.outputTypes.map(type => {
+      switch (type) {
+        case 'sheets': return { type, sink: this.sheets };
+        case 'csv': return { type, sink: new CsvOutput({ dir, layout }) };
+        case 'json': return { type, sink: new JsonOutput({ dir, layout }) };
+        case 'xlsx': return { type, sink: new XlsxOutput({ dir, layout }) };
+      }
+    });
+  }
+}
+
+module.exports = SyncPipeline;
+module.exports.COMMANDS = COMMANDS;
@@ -0,0 +1,150 @@
+/**
+ * Uscreen API Source
+ * Pulls customers and payments through the Uscreen Publisher API instead of
+ * scraping the admin UI. Follows pagination, waits out rate limits (429) and
+ * retries server errors. Returns the same raw { users, payments } rows as
+ * UscreenScraper.scrapeAll() - UscreenRecords maps the API field names.
+ */
+
+const DEFAULT_PER_PAGE = 100;
+const MAX_PAGES = 10000;
+
+// { customer: { email } } → { customer_email } so nested fields get a column name
+function flatten(object, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}_${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, name, out);
+    } else {
+      out[name] = Array.isArray(value) ? value.join(', ') : value;
+    }
+  }
+  return out;
+}
+
+// UscreenRecords reads the columns from the first row - give every row every key
+function uniformRows(rows) {
+  const keys = new Set(rows.flatMap(r => Object.keys(r)));
+  return rows.map(r => Object.fromEntries([...keys].map(k => [k, r[k] ?? ''])));
+}
+
+// Link: <https://...?page=3>; rel="next"
+function nextLink(response) {
+  const link = response.headers.get('link') || '';
+  const match = link.split(',').map(part => part.match(/<([^>]+)>\s*;\s*rel="?next"?/)).find(Boolean);
+  return match ? match[1] : null;
+}
+
+class UscreenApiSource {
+  constructor(config) {
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.authHeader = config.authHeader || 'Authorization';
+    this.paths = config.paths;
+    this.perPage = config.perPage || DEFAULT_PER_PAGE;
+    this.minRequestIntervalMs = config.minRequestIntervalMs || 0;
+    this.retry = config.retry || { attempts: 3, baseDelayMs: 1000 };
+    this.lastRequestAt = 0;
+  }
+
+  async load() {
+    if (!this.apiKey) {
+      throw new Error('USCREEN_API_KEY is required for the Uscreen API source');
+    }
+
+    console.log(`   🌐 Uscreen API: ${this.baseUrl}`);
+    const users = await this.fetchAll('customers', this.paths.customers);
+    const payments = await this.fetchAll('payments', this.paths.payments);
+
+    return { users: uniformRows(users), payments: uniformRows(payments) };
+  }
+
+  async fetchAll(label, resourcePath) {
+    const rows = [];
+    let url = this.pageUrl(resourcePath, 1);
+    let usesLinks = false;
+
+    for (let page = 1; url && page <= MAX_PAGES; page++) {
+      const response = await this.request(url);
+      const body = await response.json();
+
+      // Either a bare array or { data: [...] }
+      const items = Array.isArray(body) ? body : (body.data || body[label] || []);
+      rows.push(...items.map(item => flatten(item)));
+      console.log(`   📄 ${label}: page ${page}, ${rows.length} so far`);
+
+      // Follow the Link header once the API sends one. Without it only an empty
+      // page ends the list - the API may cap per_page below ours, so a short page doesn't
+      const next = nextLink(response);
+      usesLinks = usesLinks || !!next;
+      url = next || (!usesLinks && items.length > 0 ? this.pageUrl(resourcePath, page + 1) : null);
+    }
+
+    console.log(`   ✅ ${label}: ${rows.length} records`);
+    return rows;
+  }
+
+  pageUrl(resourcePath, page) {
+    const url = new URL(`${this.baseUrl}${resourcePath}`);
+    url.searchParams.set('page', page);
+    url.searchParams.set('per_page', this.perPage);
+    return url.toString();
+  }
+
+  async request(url) {
+    const { attempts, baseDelayMs } = this.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      await this.throttle();
+
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: { [this.authHeader]: this.apiKey, Accept: 'application/json' }
+        });
+      } catch (e) {
+        // Network error - same backoff as a 5xx
+        if (attempt >= attempts) throw new Error(`Uscreen API request failed: ${url}: ${e.message}`);
+        await this.backoff(attempt, null, e.message);
+        continue;
+      }
+
+      if (response.ok) return response;
+
+      // Bad key or path won't fix itself
+      if (response.status === 401 || response.status === 403) {
+        throw new Error(`Uscreen API rejected the API key (HTTP ${response.status}) - check USCREEN_API_KEY`);
+      }
+      const retryable = response.status === 429 || response.status >= 500;
+      if (!retryable || attempt >= attempts) {
+        const text = await response.text().catch(() => '');
+        throw new Error(`Uscreen API returned HTTP ${response.status} for ${url}${text ? `: ${text.slice(0, 200)}` : ''}`);
+      }
+
+      await this.backoff(attempt, response.headers.get('retry-after'), `HTTP ${response.status}`);
+    }
+  }
+
+  async backoff(attempt, retryAfter, reason) {
+    // Retry-After (seconds) from a 429 wins over exponential backoff
+    const seconds = Number(retryAfter);
+    const wait = Number.isFinite(seconds) && retryAfter !== null ?
+      seconds * 1000 :
+      this.retry.baseDelayMs * 2 ** (attempt - 1);
+    console.warn(`   ⚠️ Uscreen API ${reason} - retrying in ${wait / 1000}s (attempt ${attempt}/${this.retry.attempts})`);
+    await this.delay(wait);
+  }
+
+  async throttle() {
+    // Spread requests out to stay under the API rate limit
+    const wait = this.lastRequestAt + this.minRequestIntervalMs - Date.now();
+    if (wait > 0) await this.delay(wait);
+    this.lastRequestAt = Date.now();
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = UscreenApiSource;
@@ -0,0 +1,157 @@
+/**
+ * Uscreen Records
+ * Normalizes raw People + Invoices export rows (or Publisher API records)
+ * into canonical records.
+ * This is the only place that knows Uscreen's column names - everything
+ * downstream (DataComparer, GoogleSheetsClient) uses the canonical fields.
+ *
+ * User:    { id, email, name, status, lifetime, segment, createdDate }
+ * Payment: { userId, email, name, chargeDate, amount, subscription, coupon, paymentId, status }
+ */
+
+const { normalizeHeader } = require('./csv-source');
+
+// Accepted column names per canonical field, in order of preference
+// (CSV export headers first, then Publisher API fields - nested ones flattened with _)
+const USER_COLUMNS = {
+  id: ['User ID', 'user_id', 'id'],
+  email: ['User email', 'email'],
+  name: ['User Name', 'name'],
+  status: ['Status', 'subscription_status'],
+  lifetime: ['Lifetime', 'lifetime_spent'],
+  segment: ['Segment'],
+  createdDate: ['Created on date', 'created_date', 'created_at']
+};
+
+const PAYMENT_COLUMNS = {
+  userId: ['User ID', 'user_id', 'customer_id'],
+  email: ['Email', 'User email', 'customer_email'],
+  name: ['Name', 'User Name', 'customer_name'],
+  chargeDate: ['Charge Date', 'charge_date', 'paid_at'],
+  amount: ['Charge Amount', 'charge_amount', 'amount', 'total'],
+  subscription: ['Subscription', 'offer_title'],
+  coupon: ['Coupon', 'coupon_code'],
+  paymentId: ['Payment ID', 'payment_id', 'id'],
+  status: ['Status', 'Payment Status', 'status', 'state']
+};
+
+// Each entry is a field, or a list of fields of which at least one must exist
+const USER_REQUIRED = ['id', 'email'];
+const PAYMENT_REQUIRED = ['chargeDate', 'amount', ['email', 'userId']];
+
+function parseMoney(value) {
+  const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+  if (cleaned === '') return 0;
+  const number = Number(cleaned);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+class UscreenRecords {
+  normalize(uscreenData) {
+    const users = this.normalizeRows('users', uscreenData.users, USER_COLUMNS, USER_REQUIRED, this.toUser);
+    const payments = this.normalizeRows('payments', uscreenData.payments, PAYMENT_COLUMNS, PAYMENT_REQUIRED, this.toPayment);
+
+    return {
+      users: users.records,
+      payments: payments.records,
+      errors: [...users.errors, ...payments.errors]
+    };
+  }
+
+  // Maps canonical field → actual column name present in the export
+  resolveColumns(type, rows, columns, required) {
+    const available = new Map();
+    for (const header of Object.keys(rows[0] || {})) {
+      available.set(normalizeHeader(header), header);
+    }
+
+    const resolved = {};
+    for (const [field, aliases] of Object.entries(columns)) {
+      const alias = aliases.find(a => available.has(normalizeHeader(a)));
+      resolved[field] = alias ? available.get(normalizeHeader(alias)) : null;
+    }
+
+    const missing = required
+      .map(r => [].concat(r))
+      .filter(fields => !fields.some(f => resolved[f]))
+      .map(fields => fields.map(f => columns[f][0]).join(' or '));
+
+    if (missing.length > 0) {
+      throw new Error(
+        `Uscreen ${type} export is missing required column(s): ${missing.join(', ')}. ` +
+        `Found: ${Array.from(available.values()).join(', ')}`
+      );
+    }
+
+    return resolved;
+  }
+
+  normalizeRows(type, rows, columns, required, toRecord) {
+    const records = [];
+    const errors = [];
+    if (!rows || rows.length === 0) return { records, errors };
+
+    const resolved = this.resolveColumns(type, rows, columns, required);
+
+    rows.forEach((row, i) => {
+      const get = (field) => (resolved[field] ? String(row[resolved[field]] ?? '').trim() : '');
+      const { record, error } = toRecord(get);
+      if (error) {
+        // +2: header row, and rows are 1-based in a spreadsheet
+        errors.push({ type, row: i + 2, reason: error, raw: row });
+      } else {
+        records.push(record);
+      }
+    });
+
+    return { records, errors };
+  }
+
+  toUser(get) {
+    const lifetime = parseMoney(get('lifetime'));
+    if (!get('id') && !get('email')) return { error: 'No User ID or email' };
+    if (isNaN(lifetime)) return { error: `Invalid Lifetime "${get('lifetime')}"` };
+
+    return {
+      record: {
+        id: get('id'),
+        email: get('email').toLowerCase(),
+        name: get('name'),
+        status: get('status').toLowerCase(),
+        lifetime: lifetime,
+        segment: get('segment'),
+        createdDate: get('createdDate')
+      }
+    };
+  }
+
+  toPayment(get) {
+    const amount = parseMoney(get('amount'));
+    const chargeDate = parseDate(get('chargeDate'));
+    if (!get('email') && !get('userId')) return { error: 'No email or User ID' };
+    if (isNaN(amount)) return { error: `Invalid Charge Amount "${get('amount')}"` };
+    if (chargeDate === undefined) return { error: `Invalid Charge Date "${get('chargeDate')}"` };
+
+    return {
+      record: {
+        userId: get('userId'),
+        email: get('email').toLowerCase(),
+        name: get('name'),
+        chargeDate: chargeDate,
+        amount: amount,
+        subscription: get('subscription'),
+        coupon: get('coupon'),
+        paymentId: get('paymentId'),
+        status: get('status').toLowerCase()
+      }
+    };
+  }
+}
+
+module.exports = UscreenRecords;
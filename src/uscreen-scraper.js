@@ -1,23 +1,34 @@
 /**
  * Uscreen Scraper
  * Uses Puppeteer to:
- * 1. Login to Uscreen admin
+ * 1. Login to Uscreen admin (verified - fails fast on bad credentials)
  * 2. Trigger People export
  * 3. Trigger Sales/Payments export
- * 4. Download both CSV files from Exported Files page
+ * 4. Poll Exported Files until both new exports appear, then download them
+ * Steps retry with backoff; every failure saves a screenshot + HTML to diagnostics/.
+ * Selectors come from uscreen.selectors in sync.config.json.
  */
 
 const puppeteer = require('puppeteer');
 const fs = require('fs');
 const path = require('path');
-const { parse } = require('csv-parse/sync');
+const { parseCSVFile, detectExportType } = require('./csv-source');
+
+const EXPORT_POLL_INTERVAL_MS = 15000;
+const EXPORT_TIMEOUT_MS = 10 * 60 * 1000;
+const DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
 
 class UscreenScraper {
   constructor(config) {
-    this.loginUrl = config.loginUrl;
+    // Admin site and page paths from uscreen in sync.config.json
+    this.baseUrl = config.baseUrl;
+    this.paths = config.paths;
+    this.selectors = config.selectors;
+    this.retry = config.retry;
     this.email = config.email;
     this.password = config.password;
-    this.downloadPath = path.join(__dirname, '../downloads');
+    this.downloadPath = config.downloadDir || path.join(__dirname, '../downloads');
+    this.diagnosticsPath = config.diagnosticsDir || path.join(__dirname, '../diagnostics');
     this.browser = null;
     this.page = null;
   }
@@ -30,18 +41,19 @@ class UscreenScraper {
       }
 
       await this.launchBrowser();
-      await this.login();
+      await this.withRetry('Login', () => this.login());
       
-      // Trigger exports
-      await this.triggerPeopleExport();
-      await this.triggerSalesExport();
+      // Remember what was already exported so only fresh files are used
+      const existing = await this.withRetry('List exported files', () => this.listExportedFiles());
+      const knownHrefs = new Set(existing.map(l => l.href));
+      console.log(`   📂 ${knownHrefs.size} existing export(s) on Exported Files page`);
       
-      // Wait for exports to be ready (may take a while)
-      console.log('   ⏳ Waiting 60s for exports to generate...');
-      await this.delay(60000);
+      // Trigger exports
+      await this.withRetry('People export', () => this.triggerExport('People', this.paths.people));
+      await this.withRetry('Sales export', () => this.triggerExport('Sales', this.paths.invoices));
       
-      // Download from Exported Files page
-      const files = await this.downloadExports();
+      // Download new exports as they are listed until we have People and Invoices
+      const files = await this.waitForExports(knownHrefs);
       
       // Parse CSV files
       const users = await this.parseCSV(files.users);
@@ -52,6 +64,7 @@ class UscreenScraper {
       return { users, payments };
       
     } catch (error) {
+      await this.saveDiagnostics('failure');
       await this.closeBrowser();
       throw error;
     }
@@ -77,289 +90,245 @@ class UscreenScraper {
 
   async login() {
     console.log('   🔐 Logging into Uscreen...');
-    
-    // Use the correct admin login URL
-    const loginUrl = `${this.loginUrl}/admin/users/sign_in`;
+    const loginUrl = `${this.baseUrl}${this.paths.login}`;
     console.log(`   📍 Login URL: ${loginUrl}`);
-    await this.page.goto(loginUrl, { waitUntil: 'networkidle2' });
-    
-    // Debug: log the page title and URL
-    console.log(`   📍 Current URL: ${this.page.url()}`);
-    console.log(`   📍 Page title: ${await this.page.title()}`);
-    
-    // Wait for login form - use exact Uscreen field names
-    await this.page.waitForSelector('input[name="user[email]"], input[type="email"]', { timeout: 10000 });
-    
-    // Enter credentials - find and type into email field using exact name
-    const emailInput = await this.page.$('input[name="user[email]"]') || await this.page.$('input[type="email"]');
-    if (emailInput) {
-      await emailInput.type(this.email);
-      console.log('   ✅ Entered email');
-    } else {
-      console.log('   ❌ Email field not found');
+    await this.goto(loginUrl, { allowLoginPage: true });
+
+    // A retry after a slow but successful login lands on the dashboard
+    const selectors = this.selectors;
+    if (await this.page.$(selectors.loggedIn)) {
+      console.log('   ✅ Already logged in');
+      return;
     }
-    
-    // Password field - try exact name first
-    const passwordInput = await this.page.$('input[name="user[password]"]') || await this.page.$('input[type="password"]');
-    if (passwordInput) {
-      await passwordInput.type(this.password);
-      console.log('   ✅ Entered password');
-    } else {
-      console.log('   ❌ Password field not found');
+
+    // Wait for login form
+    await this.page.waitForSelector(selectors.loginEmail, { timeout: 10000 })
+      .catch(() => { throw new Error(`Uscreen login form not found on ${this.page.url()} (selector: ${selectors.loginEmail})`); });
+
+    const emailInput = await this.page.$(selectors.loginEmail);
+    const passwordInput = await this.page.$(selectors.loginPassword);
+    if (!passwordInput) {
+      throw new Error(`Uscreen password field not found (selector: ${selectors.loginPassword})`);
     }
-    
-    // Small delay to ensure form is ready
-    await this.delay(1000);
-    
-    // Debug: List all buttons on the page
-    const buttons = await this.page.evaluate(() => {
-      const allBtns = Array.from(document.querySelectorAll('button, input[type="submit"]'));
-      return allBtns.map(b => ({
-        text: b.textContent?.trim().substring(0, 50),
-        type: b.type,
-        tagName: b.tagName,
-        className: b.className?.substring(0, 50)
-      }));
-    });
-    console.log(`   📍 Found buttons: ${JSON.stringify(buttons)}`);
-    
-    // Click the login form submit - AVOID Google buttons
-    const clickResult = await this.page.evaluate(() => {
-      // Look for the form that contains the email/password fields
-      const emailField = document.querySelector('input[name="user[email]"]');
-      if (emailField) {
-        // Find the form this field belongs to
-        const form = emailField.closest('form');
-        if (form) {
-          // Try to submit the form directly
-          const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
-          if (submitBtn && !submitBtn.textContent?.toLowerCase().includes('google')) {
-            submitBtn.click();
-            return `Clicked form submit: ${submitBtn.textContent?.trim()}`;
-          }
-          // Or submit the form
-          form.submit();
-          return 'Submitted form directly';
-        }
-      }
-      
-      // Fallback: find any submit button that's NOT Google
-      const allButtons = Array.from(document.querySelectorAll('button[type="submit"], input[type="submit"]'));
-      const nonGoogleBtn = allButtons.find(b => 
-        !b.textContent?.toLowerCase().includes('google') && 
-        !b.className?.toLowerCase().includes('google')
-      );
-      if (nonGoogleBtn) {
-        nonGoogleBtn.click();
-        return `Clicked non-Google button: ${nonGoogleBtn.textContent?.trim()}`;
-      }
-      
-      return 'No suitable button found';
-    });
-    console.log(`   📍 Click result: ${clickResult}`);
-    
-    // Wait for dashboard to load
-    await this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 });
-    
-    // Debug: log the page after login
+    await emailInput.type(this.email);
+    await passwordInput.type(this.password);
+
+    // Submit the form the email field belongs to - never the "Sign in with Google" button
+    const submitted = await this.page.evaluate((emailSelector, submitSelector) => {
+      const form = document.querySelector(emailSelector)?.closest('form');
+      if (!form) return false;
+      const submitBtn = Array.from(form.querySelectorAll(submitSelector))
+        .find(b => !b.textContent?.toLowerCase().includes('google'));
+      if (submitBtn) submitBtn.click(); else form.submit();
+      return true;
+    }, selectors.loginEmail, selectors.loginSubmit);
+    if (!submitted) {
+      throw new Error('Uscreen login form has no <form> around the email field');
+    }
+
+    await this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 30000 }).catch(() => {});
     console.log(`   📍 After login URL: ${this.page.url()}`);
-    console.log(`   📍 After login title: ${await this.page.title()}`);
-    
-    // Check if we're actually logged in by looking for a logout link or username
-    const isLoggedIn = await this.page.evaluate(() => {
-      // Look for signs we're logged in
-      const body = document.body.innerHTML.toLowerCase();
-      return body.includes('logout') || body.includes('sign out') || body.includes('dashboard');
-    });
-    console.log(`   📍 Appears logged in: ${isLoggedIn}`);
-    
+
+    await this.verifyLoggedIn();
     console.log('   ✅ Logged in successfully');
   }
 
-  async triggerPeopleExport() {
-    console.log('   📋 Triggering People export...');
-    
-    // Navigate to People page - correct URL
-    const peopleUrl = `${this.loginUrl}/manage/people`;
-    console.log(`   📍 Navigating to: ${peopleUrl}`);
-    await this.page.goto(peopleUrl, { waitUntil: 'networkidle2' });
-    await this.delay(3000);
-    
-    // Look for Export button and click it
-    const clicked = await this.page.evaluate(() => {
-      // Try various selectors for export button
-      const selectors = [
-        'button[data-testid="export-button"]',
-        'button.export-button',
-        '[data-action="export"]',
-        'a[href*="export"]'
-      ];
-      
-      for (const selector of selectors) {
-        const el = document.querySelector(selector);
-        if (el) {
-          el.click();
-          return `Found via: ${selector}`;
-        }
-      }
-      
-      // Try finding by text content
-      const buttons = Array.from(document.querySelectorAll('button, a'));
-      const exportBtn = buttons.find(b => 
-        b.textContent.toLowerCase().includes('export') ||
-        b.textContent.toLowerCase().includes('download')
-      );
-      if (exportBtn) {
-        exportBtn.click();
-        return `Found by text: ${exportBtn.textContent.trim()}`;
-      }
-      
-      return 'Not found';
-    });
-    
+  async verifyLoggedIn() {
+    const selectors = this.selectors;
+    const loggedIn = await this.page.waitForSelector(selectors.loggedIn, { timeout: 10000 })
+      .then(() => true, () => false);
+    if (loggedIn) return;
+
+    // Still on the form - a visible error means bad credentials, so retrying won't help
+    const message = await this.page.evaluate((errorSelector) => {
+      const el = document.querySelector(errorSelector);
+      return el ? el.textContent.trim() : '';
+    }, selectors.loginError);
+    if (message) {
+      const error = new Error(`Uscreen login rejected: ${message}`);
+      error.retryable = false;
+      throw error;
+    }
+
+    throw new Error(`Uscreen login could not be verified - no element matching "${selectors.loggedIn}" on ${this.page.url()}`);
+  }
+
+  async goto(url, options = {}) {
+    const response = await this.page.goto(url, { waitUntil: 'networkidle2' });
+    if (response && !response.ok()) {
+      throw new Error(`Uscreen returned HTTP ${response.status()} for ${url}`);
+    }
+
+    // Expired sessions bounce back to the login page
+    if (!options.allowLoginPage && this.page.url().includes(this.paths.login)) {
+      throw new Error(`Redirected to the Uscreen login page while opening ${url} - session lost`);
+    }
+  }
+
+  async triggerExport(label, pagePath) {
+    console.log(`   📋 Triggering ${label} export...`);
+    const url = `${this.baseUrl}${pagePath}`;
+    console.log(`   📍 Navigating to: ${url}`);
+    await this.goto(url);
+
+    // Configured selector first, then an exact (not partial) button text match
+    const { exportButton, exportButtonText } = this.selectors;
+    const button = await this.page.waitForSelector(exportButton, { timeout: 10000 }).catch(() => null);
+    let clicked = null;
+    if (button) {
+      await button.click();
+      clicked = `selector ${exportButton}`;
+    } else if (exportButtonText) {
+      clicked = await this.page.evaluate((text) => {
+        const el = Array.from(document.querySelectorAll('button, a'))
+          .find(b => b.textContent.trim().toLowerCase() === text.toLowerCase());
+        if (!el) return null;
+        el.click();
+        return `text "${el.textContent.trim()}"`;
+      }, exportButtonText);
+    }
+
+    if (!clicked) {
+      throw new Error(`${label} export button not found on ${url} (selector: ${exportButton}${exportButtonText ? `, text: "${exportButtonText}"` : ''})`);
+    }
+
     console.log(`   🖱️ Export button: ${clicked}`);
     await this.delay(3000);
-    console.log('   ✅ People export triggered');
+    console.log(`   ✅ ${label} export triggered`);
   }
 
-  async triggerSalesExport() {
-    console.log('   💰 Triggering Sales export...');
-    
-    // Navigate to Invoices page - correct URL
-    const invoicesUrl = `${this.loginUrl}/bullet/invoices`;
-    console.log(`   📍 Navigating to: ${invoicesUrl}`);
-    await this.page.goto(invoicesUrl, { waitUntil: 'networkidle2' });
-    await this.delay(3000);
-    
-    // Look for Export button and click it
-    const clicked = await this.page.evaluate(() => {
-      // Try various selectors for export button
-      const selectors = [
-        'button[data-testid="export-button"]',
-        'button.export-button',
-        '[data-action="export"]',
-        'a[href*="export"]'
-      ];
-      
-      for (const selector of selectors) {
-        const el = document.querySelector(selector);
-        if (el) {
-          el.click();
-          return `Found via: ${selector}`;
+  async listExportedFiles() {
+    const exportedFilesUrl = `${this.baseUrl}${this.paths.exportedFiles}`;
+    await this.goto(exportedFilesUrl);
+    await this.delay(2000);
+
+    // Collect CSV download links
+    return this.page.evaluate((selector) => {
+      return Array.from(document.querySelectorAll(selector)).map(l => ({
+        href: l.href,
+        text: l.textContent.trim().substring(0, 50)
+      }));
+    }, this.selectors.downloadLink);
+  }
+
+  // Retries a step with exponential backoff, saving diagnostics for each failed attempt
+  async withRetry(label, fn) {
+    const { attempts, baseDelayMs } = this.retry;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        await this.saveDiagnostics(`${label}-attempt-${attempt}`);
+        if (error.retryable === false || attempt >= attempts) {
+          throw new Error(`${label} failed after ${attempt} attempt(s): ${error.message}`);
         }
+
+        const wait = baseDelayMs * 2 ** (attempt - 1);
+        console.warn(`   ⚠️ ${label} failed (attempt ${attempt}/${attempts}): ${error.message} - retrying in ${wait / 1000}s`);
+        await this.delay(wait);
       }
-      
-      // Try finding by text content
-      const buttons = Array.from(document.querySelectorAll('button, a'));
-      const exportBtn = buttons.find(b => 
-        b.textContent.toLowerCase().includes('export') ||
-        b.textContent.toLowerCase().includes('download')
-      );
-      if (exportBtn) {
-        exportBtn.click();
-        return `Found by text: ${exportBtn.textContent.trim()}`;
+    }
+  }
+
+  async saveDiagnostics(label) {
+    if (!this.page) return;
+
+    // Screenshot + HTML of whatever the browser shows - never masks the original error
+    try {
+      if (!fs.existsSync(this.diagnosticsPath)) {
+        fs.mkdirSync(this.diagnosticsPath, { recursive: true });
       }
-      
-      return 'Not found';
-    });
-    
-    console.log(`   🖱️ Export button: ${clicked}`);
-    await this.delay(3000);
-    console.log('   ✅ Sales export triggered');
+      const base = path.join(this.diagnosticsPath, `${new Date().toISOString().replace(/[:.]/g, '-')}-${label.replace(/\s+/g, '-')}`);
+      await this.page.screenshot({ path: `${base}.png`, fullPage: true });
+      fs.writeFileSync(`${base}.html`, `<!-- ${this.page.url()} -->\n${await this.page.content()}`);
+      console.log(`   📸 Saved diagnostics: ${base}.png/.html`);
+    } catch (e) {
+      console.warn(`   ⚠️ Could not save diagnostics: ${e.message}`);
+    }
   }
 
-  async downloadExports() {
-    console.log('   📥 Downloading from Exported Files page...');
-    
-    // Navigate to Exported Files page - correct URL
-    const exportedFilesUrl = `${this.loginUrl}/bullet/settings/exported_files`;
-    console.log(`   📍 Navigating to: ${exportedFilesUrl}`);
-    await this.page.goto(exportedFilesUrl, { waitUntil: 'networkidle2' });
-    await this.delay(5000);
-    
-    // Find download links
-    const pageInfo = await this.page.evaluate(() => {
-      const allLinks = Array.from(document.querySelectorAll('a'));
-      const downloadLinks = allLinks.filter(a => 
-        a.href.includes('.csv') || 
-        a.href.includes('download') ||
-        a.hasAttribute('download') ||
-        a.textContent.toLowerCase().includes('download')
-      );
-      
-      return {
-        pageUrl: window.location.href,
-        totalLinks: allLinks.length,
-        downloadLinksFound: downloadLinks.length,
-        links: downloadLinks.slice(0, 4).map(l => ({ 
-          href: l.href, 
-          text: l.textContent.trim().substring(0, 50)
-        }))
-      };
-    });
-    
-    console.log(`   📍 Page URL: ${pageInfo.pageUrl}`);
-    console.log(`   🔗 Total links: ${pageInfo.totalLinks}, Download links: ${pageInfo.downloadLinksFound}`);
-    
-    if (pageInfo.links.length > 0) {
-      console.log(`   📎 Found links: ${JSON.stringify(pageInfo.links)}`);
+  // Polls Exported Files and downloads each new export once it is listed.
+  // Only a users and a payments file (told apart by header) end the wait -
+  // any other new export, e.g. one a colleague triggered, doesn't count
+  async waitForExports(knownHrefs) {
+    console.log('   ⏳ Waiting for the new People and Sales exports on Exported Files page...');
+    const deadline = Date.now() + EXPORT_TIMEOUT_MS;
+    const seen = new Set(knownHrefs);
+    const files = { users: null, payments: null };
+    const missing = () => Object.keys(files).filter(type => !files[type]);
+
+    while (Date.now() < deadline) {
+      const links = await this.withRetry('List exported files', () => this.listExportedFiles());
+      for (const link of links.filter(l => !seen.has(l.href))) {
+        seen.add(link.href);
+        const { type, filePath } = await this.downloadExport(link);
+        // Newest first on the page - keep the first of each type
+        if (type && !files[type]) files[type] = filePath;
+      }
+
+      console.log(`   🔗 Fresh exports: ${Object.keys(files).filter(type => files[type]).join(', ') || 'none yet'}`);
+      if (missing().length === 0) return files;
+      await this.delay(EXPORT_POLL_INTERVAL_MS);
     }
-    
-    // Click download links to trigger downloads (don't navigate)
-    for (let i = 0; i < Math.min(2, pageInfo.links.length); i++) {
-      const link = pageInfo.links[i];
-      if (link.href && link.href.includes('.csv')) {
-        const filename = link.href.split('/').pop();
-        console.log(`   ⬇️ Downloading file ${i+1}: ${filename}`);
-        try {
-          // Click the link element in the page context
-          await this.page.evaluate((index) => {
-            const allLinks = Array.from(document.querySelectorAll('a'));
-            const downloadLinks = allLinks.filter(a => 
-              a.href.includes('.csv') || 
-              a.textContent.toLowerCase().includes('download')
-            );
-            if (downloadLinks[index]) {
-              downloadLinks[index].click();
-            }
-          }, i);
-          // Wait for download to start and complete
-          await this.delay(10000);
-        } catch (e) {
-          console.log(`   ⚠️ Download error: ${e.message}`);
-        }
+
+    throw new Error(`Timed out after ${EXPORT_TIMEOUT_MS / 1000}s waiting for a new Uscreen ${missing().join(' and ')} export - check the Exported Files page`);
+  }
+
+  async downloadExport(link) {
+    const filename = link.href.split('/').pop().split('?')[0];
+    console.log(`   ⬇️ Downloading: ${filename}`);
+
+    const before = new Set(this.listDownloadedFiles());
+    const clicked = await this.page.evaluate((href) => {
+      const el = Array.from(document.querySelectorAll('a')).find(a => a.href === href);
+      if (el) el.click();
+      return !!el;
+    }, link.href);
+    if (!clicked) {
+      throw new Error(`Download link disappeared from Exported Files page: ${link.href}`);
+    }
+
+    const filePath = await this.waitForDownload(before);
+    const type = detectExportType(filePath);
+    console.log(`   📄 ${path.basename(filePath)} → ${type || 'unrecognized'}`);
+    return { type, filePath };
+  }
+
+  listDownloadedFiles() {
+    return fs.existsSync(this.downloadPath) ? fs.readdirSync(this.downloadPath) : [];
+  }
+
+  async waitForDownload(before) {
+    const deadline = Date.now() + DOWNLOAD_TIMEOUT_MS;
+    let lastSize = -1;
+
+    while (Date.now() < deadline) {
+      await this.delay(1000);
+
+      // Chrome writes to *.crdownload until the file is complete
+      const pending = this.listDownloadedFiles().filter(f => f.endsWith('.crdownload'));
+      const added = this.listDownloadedFiles().filter(f => !before.has(f) && f.endsWith('.csv'));
+      if (pending.length > 0 || added.length === 0) continue;
+
+      // Wait for the size to settle before reading it
+      const filePath = path.join(this.downloadPath, added[0]);
+      const size = fs.statSync(filePath).size;
+      if (size > 0 && size === lastSize) {
+        return filePath;
       }
+      lastSize = size;
     }
-    
-    // Check for downloaded files
-    const files = fs.existsSync(this.downloadPath) ? fs.readdirSync(this.downloadPath) : [];
-    console.log(`   📂 Files in downloads folder: ${files.length > 0 ? files.join(', ') : 'none'}`);
-    
-    const csvFiles = files.filter(f => f.endsWith('.csv')).sort((a, b) => {
-      return fs.statSync(path.join(this.downloadPath, b)).mtime - 
-             fs.statSync(path.join(this.downloadPath, a)).mtime;
-    });
-    
-    return {
-      users: path.join(this.downloadPath, csvFiles[0] || 'users.csv'),
-      payments: path.join(this.downloadPath, csvFiles[1] || 'payments.csv')
-    };
+
+    throw new Error(`Timed out after ${DOWNLOAD_TIMEOUT_MS / 1000}s waiting for download to finish`);
   }
 
   async parseCSV(filePath) {
     if (!fs.existsSync(filePath)) {
-      console.warn(`   ⚠️ File not found: ${filePath}`);
-      return [];
+      throw new Error(`Export file not found: ${filePath}`);
     }
     
-    const content = fs.readFileSync(filePath, 'utf-8');
-    const records = parse(content, {
-      columns: true,
-      skip_empty_lines: true,
-      trim: true
-    });
-    
-    return records;
+    return parseCSVFile(filePath);
   }
 
   async closeBrowser() {
@@ -0,0 +1,291 @@
+/**
+ * Unit tests for DataComparer: matching, payment classification and refund
+ * pairing, plan comparison and the reverse pass over Salesforce records.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const DataComparer = require('../src/data-comparer');
+const { classifyPayment, normalizeEmail } = DataComparer;
+
+function payment(paymentId, date, amount, status = 'paid') {
+  return { userId: '1', email: 'a@example.com', paymentId, chargeDate: new Date(date), amount, status, subscription: 'Monthly' };
+}
+
+function user(id, email, status = 'active') {
+  return { id, email, name: '', status, lifetime: 20, segment: '' };
+}
+
+function sfRecord(sfId, uscreenMemberId, contactEmail, fields = {}) {
+  return { sfId, uscreenMemberId, contactEmail, contactName: '', active: true, uscreenSubscriptionStatus: 'Active', ...fields };
+}
+
+// Stands in for ReviewStore with fixed manual links
+function links(entries) {
+  return { getLinks: () => new Map(entries), isRejected: () => false };
+}
+
+function summarize(payments) {
+  const comparer = new DataComparer();
+  comparer.indexPayments(payments);
+  return comparer.summarizePayments('a@example.com', '1');
+}
+
+// The one match (or ambiguity) for a single Uscreen user
+function matchOne(uscreenUser, sfData, options = {}) {
+  const results = new DataComparer(options).compare({ users: [uscreenUser], payments: [] }, sfData);
+  return results.matched[0] || results.ambiguous[0] || null;
+}
+
+describe('normalizeEmail', () => {
+  test('drops +tags and case on any domain', () => {
+    assert.strictEqual(normalizeEmail('  Ann.Archer+Uscreen@Example.com '), 'ann.archer@example.com');
+  });
+
+  test('ignores dots in Gmail addresses and treats googlemail as gmail', () => {
+    assert.strictEqual(normalizeEmail('a.n.n+yoga@gmail.com'), 'ann@gmail.com');
+    assert.strictEqual(normalizeEmail('Ann.Archer@googlemail.com'), 'annarcher@gmail.com');
+  });
+
+  test('leaves anything that is not an address alone', () => {
+    assert.strictEqual(normalizeEmail('@example.com'), '@example.com');
+    assert.strictEqual(normalizeEmail(null), '');
+  });
+});
+
+describe('matching', () => {
+  test('each method reports its confidence', () => {
+    const sf = sfRecord('a0P000000000001AAA', '1', 'ann@example.com', { contactName: 'Ann Archer' });
+    const cases = [
+      [user('1', 'ann@example.com'), {}, 'uscreen id + email', 1],
+      [user('1', 'other@example.com'), {}, 'uscreen id', 0.95],
+      [user('', 'ann@example.com'), {}, 'email', 0.9],
+      [user('', 'ann+yoga@example.com'), {}, 'normalized email', 0.8],
+      [{ ...user('', 'archer@example.net'), name: 'ANN  archer' }, { matchByName: true }, 'name', 0.5],
+      [user('7', 'x@example.com'), { reviewStore: links([['7', 'a0P000000000001']]) }, 'manual link', 1]
+    ];
+    for (const [uscreenUser, options, method, confidence] of cases) {
+      const match = matchOne(uscreenUser, [sf], options);
+      assert.deepStrictEqual([match.matchMethod, match.confidence], [method, confidence], method);
+    }
+  });
+
+  test('a Gmail address matches SF with dots and +tags stripped', () => {
+    const sf = sfRecord('a0P1', null, 'Ann.Archer@gmail.com');
+    assert.strictEqual(matchOne(user('', 'annarcher+yoga@googlemail.com'), [sf]).matchMethod, 'normalized email');
+  });
+
+  test('names are only used with --match-by-name', () => {
+    const sf = sfRecord('a0P1', null, 'ann@example.com', { contactName: 'Ann Archer' });
+    const byName = { ...user('5', 'ann.a@example.net'), name: 'Ann Archer' };
+    assert.strictEqual(matchOne(byName, [sf]), null);
+    assert.strictEqual(matchOne(byName, [sf], { matchByName: true }).sfRecord, sf);
+  });
+
+  test('a name shared by two SF records is ambiguous', () => {
+    const sfData = [
+      sfRecord('a0P1', null, 'one@example.com', { contactName: 'Ann Archer' }),
+      sfRecord('a0P2', null, 'two@example.com', { contactName: 'Ann Archer' })
+    ];
+    const match = matchOne({ ...user('5', 'ann@example.net'), name: 'Ann Archer' }, sfData, { matchByName: true });
+    assert.strictEqual(match.reason, 'Name matches 2 SF records');
+  });
+
+  test('email is tried before name', () => {
+    const byEmail = sfRecord('a0P1', null, 'ann@example.com', { contactName: 'Someone Else' });
+    const byName = sfRecord('a0P2', null, 'other@example.com', { contactName: 'Ann Archer' });
+    const match = matchOne({ ...user('5', 'ann@example.com'), name: 'Ann Archer' }, [byEmail, byName], { matchByName: true });
+    assert.deepStrictEqual([match.sfRecord.sfId, match.matchMethod], ['a0P1', 'email']);
+  });
+
+  test('an email or name pointing at a record linked to another Uscreen ID is ambiguous', () => {
+    const sf = sfRecord('a0P1', '9', 'ann@example.com', { contactName: 'Ann Archer' });
+    assert.strictEqual(matchOne(user('5', 'ann@example.com'), [sf]).reason, 'Email matches SF record linked to Uscreen ID 9');
+    assert.strictEqual(matchOne(user('5', 'ann+x@example.com'), [sf]).reason, 'Normalized email matches SF record linked to Uscreen ID 9');
+    const byName = { ...user('5', 'a@example.net'), name: 'Ann Archer' };
+    assert.strictEqual(matchOne(byName, [sf], { matchByName: true }).reason, 'Name matches SF record linked to Uscreen ID 9');
+    // Without a Uscreen ID of its own the user can't conflict
+    assert.strictEqual(matchOne(user('', 'ann@example.com'), [sf]).matchMethod, 'email');
+  });
+
+  test('a Uscreen ID and email on different records is ambiguous', () => {
+    const sfData = [sfRecord('a0P1', '5', 'old@example.com'), sfRecord('a0P2', null, 'ann@example.com')];
+    const match = matchOne(user('5', 'ann@example.com'), sfData);
+    assert.strictEqual(match.reason, 'Uscreen ID and email match different SF records');
+    assert.deepStrictEqual(match.candidates.map(c => c.sfId), ['a0P1', 'a0P2']);
+  });
+});
+
+describe('classifyPayment', () => {
+  test('the status decides the kind, checked chargeback first', () => {
+    const kind = (status, amount = 10) => classifyPayment({ status, amount });
+    assert.strictEqual(kind('paid'), 'charge');
+    assert.strictEqual(kind(''), 'charge');
+    assert.strictEqual(kind('Refunded'), 'refund');
+    assert.strictEqual(kind('reversed'), 'refund');
+    assert.strictEqual(kind('chargeback'), 'chargeback');
+    assert.strictEqual(kind('Disputed - refund pending'), 'chargeback');
+    assert.strictEqual(kind('failed'), 'failed');
+    assert.strictEqual(kind('Card declined'), 'failed');
+    assert.strictEqual(kind('void'), 'failed');
+  });
+
+  test('a negative amount with no status is a refund', () => {
+    assert.strictEqual(classifyPayment({ amount: -10 }), 'refund');
+    assert.strictEqual(classifyPayment({ status: 'paid', amount: -10 }), 'refund');
+  });
+});
+
+describe('summarizePayments', () => {
+  test('a negative refund reverses the newest earlier charge of the same amount', () => {
+    const older = payment('P1', '2024-03-01', 20);
+    const newer = payment('P2', '2024-04-01', 20);
+    const summary = summarize([older, newer, payment('P3', '2024-04-10', -20)]);
+    assert.deepStrictEqual([summary.reversed.has(older), summary.reversed.has(newer)], [false, true]);
+    assert.strictEqual(summary.netPaid, 20);
+    assert.deepStrictEqual(summary.reversals.map(r => r.paymentId), ['P2']);
+  });
+
+  test('a positive refunded invoice with no charge was never paid', () => {
+    const summary = summarize([payment('P1', '2024-04-01', 20), payment('P2', '2024-05-01', 20, 'refunded')]);
+    assert.strictEqual(summary.netPaid, 20);
+    assert.strictEqual(summary.reversed.size, 0);
+    assert.deepStrictEqual(summary.reversals.map(r => [r.kind, r.paymentId]), [['refund', 'P2']]);
+  });
+
+  test('a refund of a charge older than the export still lowers net paid', () => {
+    const summary = summarize([payment('P1', '2024-04-01', 20), payment('P0', '2024-04-02', -15), payment('P2', '2024-05-01', 20, 'failed')]);
+    assert.strictEqual(summary.netPaid, 5);
+    assert.strictEqual(summary.failedPayments, 1);
+  });
+
+  test('a partial refund on the same payment ID leaves the charge paid', () => {
+    const charge = payment('P1', '2024-05-01', 20);
+    const summary = summarize([charge, payment('P1', '2024-05-03', -5, 'refunded')]);
+    assert.strictEqual(summary.reversed.has(charge), false);
+    assert.strictEqual(summary.netPaid, 15);
+    assert.deepStrictEqual(summary.reversals.map(r => [r.kind, r.amount, r.paymentId]), [['refund', 5, 'P1']]);
+  });
+
+  test('partial refunds that add up to the charge reverse it', () => {
+    const charge = payment('P1', '2024-05-01', 20);
+    const summary = summarize([charge, payment('P1', '2024-05-03', -5), payment('P1', '2024-05-09', -15)]);
+    assert.strictEqual(summary.reversed.has(charge), true);
+    assert.strictEqual(summary.netPaid, 0);
+  });
+});
+
+describe('refunded', () => {
+  const charge = payment('P1', '2024-04-01', 20);
+  const refund = payment('P1', '2024-04-03', -20, 'refunded');
+  const chargeback = payment('P2', '2024-05-10', -20, 'chargeback');
+  const refunded = (payments, previousRun) => new DataComparer().compare(
+    { users: [user('1', 'a@example.com')], payments }, [], previousRun
+  ).refunded;
+
+  test('is new on the first run and after a reversal the last run did not have', () => {
+    assert.strictEqual(refunded([charge, refund])[0].newThisRun, true);
+    const previousRun = { users: [], payments: [charge, refund] };
+    assert.strictEqual(refunded([charge, refund, payment('P2', '2024-05-01', 20), chargeback], previousRun)[0].newThisRun, true);
+  });
+
+  test('is not new when every reversal was already in the last run', () => {
+    const previousRun = { users: [], payments: [charge, { ...refund, email: 'old@example.com' }] };
+    assert.strictEqual(refunded([charge, refund, payment('P2', '2024-05-01', 20)], previousRun)[0].newThisRun, false);
+  });
+});
+
+describe('needsUpdate', () => {
+  const needsUpdate = (chargeDate, uscreenLastPaymentDate) => new DataComparer().compare(
+    { users: [user('1', 'a@example.com')], payments: [payment('P1', chargeDate, 20)] },
+    [sfRecord('a0P1', '1', 'a@example.com', { uscreenLastPaymentDate })]
+  ).needsUpdate;
+
+  test('a charge later on the day SF already holds is not newer', () => {
+    assert.deepStrictEqual(needsUpdate('2024-05-01T14:32:00Z', '2024-05-01'), []);
+  });
+
+  test('a charge on a later day, or with no SF date, is listed with its date', () => {
+    assert.strictEqual(needsUpdate('2024-05-02T00:10:00Z', '2024-05-01')[0].uscreenLastPaymentDate.toISOString(), '2024-05-02T00:10:00.000Z');
+    assert.strictEqual(needsUpdate('2024-05-01T14:32:00Z', null).length, 1);
+  });
+});
+
+describe('comparePlan', () => {
+  const comparer = new DataComparer({ plans: { Monthly: { subscription: 'Monthly', installmentFrequency: 'Monthly' }, Annual: { subscription: 'Annual', installmentFrequency: 'Annually' } } });
+  const sf = (fields) => sfRecord('a0P1', '1', 'a@example.com', { subscription: 'Monthly', installmentFrequency: 'Monthly', subscriptionCost: 19.99, ...fields });
+  const charge = (fields) => ({ ...payment('P1', '2024-05-01', 19.99), ...fields });
+
+  test('an up-to-date record, or one differing only in case, has no differences', () => {
+    assert.strictEqual(comparer.comparePlan(charge(), sf()), null);
+    assert.strictEqual(comparer.comparePlan(charge({ subscription: 'monthly' }), sf({ installmentFrequency: 'MONTHLY' })), null);
+  });
+
+  test('a plan switch suggests the new plan, frequency and price', () => {
+    const result = comparer.comparePlan(charge({ subscription: 'Annual', amount: 199 }), sf());
+    assert.deepStrictEqual(result.differences, ['plan Monthly → Annual', 'frequency Monthly → Annually', 'price $19.99 → $199']);
+    assert.deepStrictEqual(result.suggested, { subscription: 'Annual', installmentFrequency: 'Annually', subscriptionCost: 199 });
+  });
+
+  test('a coupon charge says nothing about the price', () => {
+    assert.strictEqual(comparer.comparePlan(charge({ amount: 9.99, coupon: 'HALF' }), sf()), null);
+    const result = comparer.comparePlan(charge({ subscription: 'Annual', amount: 99, coupon: 'HALF' }), sf());
+    assert.deepStrictEqual(result.differences, ['plan Monthly → Annual', 'frequency Monthly → Annually']);
+    assert.strictEqual(result.suggested.subscriptionCost, 19.99);
+  });
+
+  test('a plan missing from the plans config is not compared', () => {
+    assert.strictEqual(comparer.comparePlan(charge({ subscription: 'Lifetime', amount: 500 }), sf()), null);
+  });
+
+  test('an empty SF cost is shown as (none)', () => {
+    const result = comparer.comparePlan(charge(), sf({ subscriptionCost: null }));
+    assert.deepStrictEqual(result.differences, ['price (none) → $19.99']);
+    assert.strictEqual(result.current.subscriptionCost, '');
+  });
+});
+
+describe('reconcileSalesforce', () => {
+  test('a record shared by several Uscreen users should be active if any of them is', () => {
+    const users = [user('1', 'a@example.com', 'active'), user('2', 'b@example.com', 'cancelled')];
+    const inactive = sfRecord('a0P000000000001AAA', '1', 'a@example.com', { active: false });
+    const comparer = new DataComparer({ reviewStore: links([['2', 'a0P000000000001AAA']]) });
+    const results = comparer.compare({ users, payments: [] }, [inactive]);
+
+    assert.deepStrictEqual(results.matched.map(m => [m.uscreenId, m.matchMethod]), [['1', 'uscreen id + email'], ['2', 'manual link']]);
+    assert.deepStrictEqual(results.activeMismatch.map(m => [m.uscreenId, m.uscreenStatus, m.expectedActive]), [['1', 'active', true]]);
+  });
+
+  test('an active shared record is left alone while one user is still active', () => {
+    const users = [user('1', 'a@example.com', 'cancelled'), user('2', 'b@example.com', 'active')];
+    const active = sfRecord('a0P000000000001AAA', '1', 'a@example.com', { uscreenSubscriptionStatus: 'Cancelled' });
+    const comparer = new DataComparer({ reviewStore: links([['2', 'a0P000000000001AAA']]) });
+    assert.deepStrictEqual(comparer.compare({ users, payments: [] }, [active]).activeMismatch, []);
+
+    const allCancelled = [user('1', 'a@example.com', 'cancelled'), user('2', 'b@example.com', 'cancelled')];
+    const results = new DataComparer({ reviewStore: links([['2', 'a0P000000000001AAA']]) }).compare({ users: allCancelled, payments: [] }, [active]);
+    assert.deepStrictEqual(results.activeMismatch.map(m => [m.uscreenId, m.expectedActive]), [['1', false]]);
+  });
+
+  test('only unmatched records with a Uscreen ID that no one is reviewing are missing', () => {
+    const users = [user('1', 'a@example.com'), user('2', 'b@example.com'), user('3', 'c@example.com')];
+    const sfData = [
+      sfRecord('a0P000000000001AAA', '1', 'a@example.com'),
+      sfRecord('a0P000000000002AAA', '9', 'gone@example.com'),
+      sfRecord('a0P000000000003AAA', null, 'nobody@example.com'),
+      // User 2's email points here, but the record is linked to Uscreen user 8 - ambiguous, not missing
+      sfRecord('a0P000000000004AAA', '8', 'b@example.com'),
+      // User 3 was linked by hand to another record
+      sfRecord('a0P000000000005AAA', '3', 'old@example.com'),
+      sfRecord('a0P000000000006AAA', null, 'c@example.com')
+    ];
+    const comparer = new DataComparer({ reviewStore: links([['3', 'a0P000000000006AAA']]) });
+    const results = comparer.compare({ users, payments: [] }, sfData);
+
+    assert.deepStrictEqual(results.ambiguous.map(a => a.uscreenId), ['2']);
+    assert.deepStrictEqual(results.sfMissing.map(m => [m.sfRecord.sfId, m.reason]), [
+      ['a0P000000000002AAA', 'Uscreen ID 9 not in the Uscreen export'],
+      ['a0P000000000005AAA', 'Uscreen user 3 is matched to another SF record']
+    ]);
+  });
+});
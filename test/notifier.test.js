@@ -0,0 +1,192 @@
+/**
+ * Notifier tests against a local webhook listener and a minimal SMTP sink.
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const Notifier = require('../src/notifier');
+const RunMetrics = require('../src/run-metrics');
+
+// Accepts any mail and keeps the raw DATA of each message
+function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf-8');
+      let end;
+      while ((end = buffer.indexOf(inData ? '\r\n.\r\n' : '\r\n')) !== -1) {
+        if (inData) {
+          messages.push(buffer.slice(0, end));
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          socket.write('250 OK\r\n');
+          continue;
+        }
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const command = line.split(' ')[0].toUpperCase();
+        if (command === 'DATA') {
+          inData = true;
+          socket.write('354 Go ahead\r\n');
+        } else if (command === 'QUIT') {
+          socket.end('221 Bye\r\n');
+        } else {
+          socket.write('250 OK\r\n');
+        }
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, messages, port: server.address().port })));
+}
+
+// Subject and decoded text body of a single-part message
+function parseMail(raw) {
+  const [head, ...rest] = raw.split('\r\n\r\n');
+  const headers = head.replace(/\r\n\s+/g, ' ');
+  const header = (name) => (headers.match(new RegExp(`^${name}: (.*)$`, 'mi')) || [])[1];
+  let body = rest.join('\r\n\r\n');
+  if (/quoted-printable/i.test(header('Content-Transfer-Encoding'))) {
+    body = Buffer.from(body.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1').toString('utf-8');
+  } else if (/base64/i.test(header('Content-Transfer-Encoding'))) {
+    body = Buffer.from(body, 'base64').toString('utf-8');
+  }
+  return { subject: header('Subject'), to: header('To'), body: body.replace(/\r\n/g, '\n') };
+}
+
+function metrics(error = null) {
+  const m = new RunMetrics('2024-05-20T10-00-00-000Z', 'apply');
+  m.record({ users: 8, matched: 5, newUsers: 1, planMismatch: 2, sfWritesOk: 4 });
+  m.finish(error);
+  return m;
+}
+
+const comparison = {
+  newUsers: [{ uscreenUser: { name: 'Eve Evans' }, email: 'eve@example.com', lifetime: 15 }],
+  cancelled: [],
+  needsUpdate: [{ email: 'ann@example.com', uscreenLastPaymentDate: new Date('2024-05-01') }],
+  ambiguous: [],
+  refunded: []
+};
+
+describe('Notifier', () => {
+  let webhook;
+  let smtp;
+  let requests;
+  let respond;
+
+  before(async () => {
+    webhook = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, type: req.headers['content-type'], body: JSON.parse(body) });
+        respond(res);
+      });
+    });
+    await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+    smtp = await startSmtpSink();
+  });
+
+  beforeEach((t) => {
+    requests = [];
+    smtp.messages.length = 0;
+    respond = (res) => res.end('ok');
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+  });
+
+  after(() => {
+    webhook.closeAllConnections();
+    webhook.close();
+    smtp.server.close();
+  });
+
+  function notifier(overrides = {}) {
+    return new Notifier({
+      on: 'always',
+      webhookUrl: `http://127.0.0.1:${webhook.address().port}/hook`,
+      smtp: { host: '127.0.0.1', port: smtp.port, secure: false },
+      emailFrom: 'sync@example.com',
+      emailTo: 'team@example.com',
+      sheetUrl: 'https://docs.google.com/spreadsheets/d/abc',
+      ...overrides
+    });
+  }
+
+  test('a successful run posts the summary to the webhook and emails it', async () => {
+    await notifier().notify({ metrics: metrics(), comparison });
+
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'POST');
+    assert.strictEqual(requests[0].type, 'application/json');
+    assert.deepStrictEqual(Object.keys(requests[0].body), ['text']);
+    const text = requests[0].body.text;
+    assert.match(text, /^\*Uscreen sync finished \(apply\): 1 new users to review\*\n✅ Uscreen \+ Salesforce sync \(apply\) finished in /);
+    assert.match(text, /\nUscreen users: 8\nMatched: 5\nNew users \(review\): 1\nPlan mismatches: 2\nSF writes OK: 4\n/);
+    assert.match(text, /New users waiting for review \(1\):\n• Eve Evans <eve@example\.com> - \$15 lifetime/);
+    assert.match(text, /Needs update \(1\):\n• ann@example\.com - paid 2024-05-01/);
+    assert.match(text, /Sheet: https:\/\/docs\.google\.com\/spreadsheets\/d\/abc$/);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    const mail = parseMail(smtp.messages[0]);
+    assert.strictEqual(mail.subject, 'Uscreen sync finished (apply): 1 new users to review');
+    assert.strictEqual(mail.to, 'team@example.com');
+    assert.strictEqual(`*${mail.subject}*\n${mail.body.trim()}`, text);
+  });
+
+  test('a failed run sends the error and stack', async () => {
+    const error = new Error('Uscreen rejected the API key');
+    await notifier().notify({ metrics: metrics(error), comparison: null, error });
+
+    const text = requests[0].body.text;
+    assert.match(text, /^\*Uscreen sync FAILED \(apply\): Uscreen rejected the API key\*\n❌ Uscreen \+ Salesforce sync \(apply\) failed after /);
+    assert.match(text, /\nRun: 2024-05-20T10-00-00-000Z\nError: Uscreen rejected the API key\n\nError: Uscreen rejected the API key\n {4}at /);
+
+    const mail = parseMail(smtp.messages[0]);
+    assert.strictEqual(mail.subject, 'Uscreen sync FAILED (apply): Uscreen rejected the API key');
+    assert.match(mail.body, /Error: Uscreen rejected the API key/);
+  });
+
+  test('a template file replaces the default message', async () => {
+    const templatePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notify-')), 'success.txt');
+    fs.writeFileSync(templatePath, '{{status}} {{runId}} ({{mode}})\n{{counts}}\n{{unknown}}');
+    await notifier({ templates: { success: templatePath } }).notify({ metrics: metrics(), comparison });
+
+    assert.strictEqual(requests[0].body.text, [
+      '*Uscreen sync finished (apply): 1 new users to review*',
+      'SUCCESS 2024-05-20T10-00-00-000Z (apply)',
+      'Uscreen users: 8\nMatched: 5\nNew users (review): 1\nPlan mismatches: 2\nSF writes OK: 4',
+      '{{unknown}}'
+    ].join('\n'));
+  });
+
+  test('NOTIFY_ON=failure stays quiet after a successful run', async () => {
+    await notifier({ on: 'failure' }).notify({ metrics: metrics(), comparison });
+    assert.strictEqual(requests.length, 0);
+    assert.strictEqual(smtp.messages.length, 0);
+  });
+
+  test('a failing webhook still lets the email go out', async () => {
+    respond = (res) => { res.statusCode = 500; res.end(); };
+    await notifier().notify({ metrics: metrics(), comparison });
+
+    assert.match(console.warn.mock.calls[0].arguments[0], /Could not send webhook notification: Webhook returned 500/);
+    assert.strictEqual(smtp.messages.length, 1);
+  });
+
+  test('a webhook that never answers times out', async () => {
+    respond = () => {};
+    await notifier({ webhookTimeoutMs: 200, smtp: {} }).notify({ metrics: metrics(), comparison });
+
+    assert.strictEqual(requests.length, 1);
+    assert.match(console.warn.mock.calls[0].arguments[0], /Could not send webhook notification: .*timeout/i);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Unit tests for RevenueMetrics.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const RevenueMetrics = require('../src/revenue-metrics');
+
+function payment(userId, paymentId, date, amount, status = 'paid', subscription = 'Monthly') {
+  return { userId, email: `${userId}@example.com`, paymentId, chargeDate: new Date(date), amount, status, subscription };
+}
+
+function compute(payments, now = '2024-12-15') {
+  return new RevenueMetrics({ now: new Date(now) }).compute({ users: [], payments }).months;
+}
+
+describe('net revenue', () => {
+  test('a charged-back charge drops out of its month', () => {
+    const [april] = compute([
+      payment('1', 'P1', '2024-04-01', 20),
+      payment('2', 'P2', '2024-04-02', 30),
+      payment('2', 'P3', '2024-05-10', -30, 'chargeback')
+    ]);
+    assert.strictEqual(april.revenue, 20);
+    assert.strictEqual(april.mrr, 20);
+    assert.strictEqual(april.payingSubscribers, 1);
+  });
+
+  test('a refunded invoice row never counts, whatever its sign', () => {
+    const months = compute([
+      payment('1', 'P1', '2024-04-01', 20),
+      payment('2', 'P2', '2024-04-02', 30, 'refunded')
+    ]);
+    assert.strictEqual(months[0].revenue, 20);
+    assert.strictEqual(months[0].payingSubscribers, 1);
+  });
+
+  test('a partial refund lowers revenue and MRR but keeps the payer', () => {
+    const [april] = compute([
+      payment('1', 'P1', '2024-04-01', 20),
+      payment('1', 'P1', '2024-04-05', -5, 'refunded')
+    ]);
+    assert.strictEqual(april.revenue, 15);
+    assert.strictEqual(april.mrr, 15);
+    assert.strictEqual(april.payingSubscribers, 1);
+  });
+
+  test('a refund of a charge older than the export is subtracted in its own month', () => {
+    const months = compute([
+      payment('1', 'P1', '2024-04-01', 20),
+      payment('2', 'P0', '2024-05-02', -10, 'refunded')
+    ]);
+    assert.deepStrictEqual(months.map(m => [m.month, m.revenue]), [['2024-04', 20], ['2024-05', -10]]);
+  });
+});
+
+describe('churn', () => {
+  test('is blank for the first month and the current, unfinished one', () => {
+    const months = compute([
+      payment('1', 'P1', '2024-04-01', 20),
+      payment('2', 'P2', '2024-04-02', 20),
+      payment('1', 'P3', '2024-05-01', 20),
+      payment('1', 'P4', '2024-06-01', 20)
+    ], '2024-06-15');
+    assert.deepStrictEqual(months.map(m => [m.month, m.churned, m.churnRate]), [
+      ['2024-04', null, null],
+      ['2024-05', 1, 0.5],
+      ['2024-06', null, null]
+    ]);
+  });
+
+  test('a payer is still paying in the months an annual charge covers', () => {
+    const months = compute([
+      payment('1', 'P1', '2024-01-01', 120, 'paid', 'Annual'),
+      payment('2', 'P2', '2024-01-02', 20),
+      payment('2', 'P3', '2024-03-02', 20)
+    ]);
+    assert.deepStrictEqual(months.map(m => [m.month, m.payingSubscribers, m.churned, m.mrr]), [
+      ['2024-01', 2, null, 30],
+      ['2024-02', 1, 1, 10],
+      ['2024-03', 2, 0, 30]
+    ]);
+  });
+
+  test('has no rate after a month with nobody paying', () => {
+    const months = compute([payment('1', 'P1', '2024-01-01', 20), payment('2', 'P2', '2024-03-01', 20)]);
+    assert.deepStrictEqual(months.map(m => [m.month, m.churned, m.churnRate]), [
+      ['2024-01', null, null],
+      ['2024-02', 1, 1],
+      ['2024-03', 0, null]
+    ]);
+  });
+
+  test('a payment below the free threshold does not keep a payer', () => {
+    const months = new RevenueMetrics({ minPaymentAmount: 1, now: new Date('2024-12-01') }).compute({ users: [], payments: [
+      payment('1', 'P1', '2024-01-01', 20),
+      payment('1', 'P2', '2024-02-01', 0.5)
+    ] }).months;
+    assert.deepStrictEqual(months.map(m => [m.month, m.revenue, m.churned]), [['2024-01', 20, null], ['2024-02', 0, 1]]);
+  });
+});
@@ -0,0 +1,411 @@
+/**
+ * End-to-end tests: run src/index.js against the sandbox (mock Uscreen,
+ * in-memory Salesforce, fake Sheets) on the fixtures in sandbox/fixtures.
+ *
+ * Fixture users → expected outcome:
+ *   101 Ann  - paid since SF's last payment date     → Needs Update
+ *   102 Bob  - cancelled in Uscreen, active in SF    → Cancelled (a later failed payment changes nothing)
+ *   103 Cat  - active again, Cancelled in SF         → Reactivated + Needs Update; SF price is stale → Plan Mismatch
+ *   104 Dan  - up to date, switched to Annual        → Plan Mismatch
+ *   105 Eve  - paid, not in SF                       → New Users (Review)
+ *   106 Fay  - never paid, not in SF                 → no match
+ *   107 Gus  - past due, SF says Active              → Status Mismatch; newest invoice refunded → Refunds & Disputes
+ *   108 Hal  - Uscreen ID and email on different SF records → Ambiguous; charged back → Refunds & Disputes
+ *   110 Ivy  - in SF only, gone from Uscreen          → Missing from Uscreen
+ * Bob and Cat's Active__c also disagree with Uscreen       → Active Mismatch
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Sandbox = require('../sandbox/sandbox');
+
+const API = { USCREEN_SOURCE: 'api' };
+
+// Rows of a tab as objects keyed by header
+function rows(values) {
+  const [header = [], ...body] = values;
+  return body.map(r => Object.fromEntries(header.map((h, i) => [h, r[i]])));
+}
+
+function programRole(sandbox, memberId) {
+  return sandbox.readSalesforce().Program_Roles__c.find(r => r.Uscreen_Member_ID__c === memberId);
+}
+
+async function canLaunchChrome() {
+  try {
+    const browser = await require('puppeteer').launch({ headless: 'new', args: ['--no-sandbox'] });
+    await browser.close();
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+describe('sync in the sandbox', () => {
+  let sandbox;
+
+  beforeEach(async () => {
+    if (sandbox) await sandbox.stop();
+    sandbox = new Sandbox({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'uscreen-sf-sandbox-')) });
+    await sandbox.start();
+  });
+
+  after(async () => {
+    if (sandbox) await sandbox.stop();
+  });
+
+  test('sync --apply updates Salesforce and writes every tab', async () => {
+    const { code, output } = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(code, 0, output);
+
+    assert.strictEqual(programRole(sandbox, '101').Uscreen_Last_Payment_Date__c, '2024-05-01');
+    assert.strictEqual(programRole(sandbox, '102').Active__c, false);
+    assert.strictEqual(programRole(sandbox, '102').Uscreen_Subscription_Status__c, 'Cancelled');
+    assert.strictEqual(programRole(sandbox, '103').Active__c, true);
+    assert.strictEqual(programRole(sandbox, '103').Uscreen_Last_Payment_Date__c, '2024-05-02');
+    assert.strictEqual(programRole(sandbox, '104').Uscreen_Last_Payment_Date__c, '2024-05-03');
+    assert.strictEqual(programRole(sandbox, '107').Uscreen_Subscription_Status__c, 'Past Due');
+    assert.strictEqual(programRole(sandbox, '107').Uscreen_Last_Payment_Date__c, '2024-04-20', 'refunded payment ignored');
+
+    const emails = (tab) => rows(sandbox.readSheet(tab)).map(r => r.Email).sort();
+    assert.deepStrictEqual(emails('Needs Update'), ['ann@example.com', 'cat@example.com']);
+    assert.deepStrictEqual(emails('Cancelled'), ['bob@example.com']);
+    assert.deepStrictEqual(emails('Reactivated'), ['cat@example.com']);
+    assert.deepStrictEqual(emails('Status Mismatch'), ['gus@example.com']);
+    assert.deepStrictEqual(emails('New Users (Review)'), ['eve@example.com']);
+    assert.deepStrictEqual(emails('Ambiguous'), ['hal@example.com']);
+    const plans = rows(sandbox.readSheet('Plan Mismatch')).sort((a, b) => a.Email.localeCompare(b.Email));
+    assert.deepStrictEqual(plans.map(r => [r.Email, r.Differences]), [
+      ['cat@example.com', 'price $17.99 → $19.99'],
+      ['dan@example.com', 'plan Monthly → Annual; frequency Monthly → Annually; price $19.99 → $199']
+    ]);
+    assert.strictEqual(plans[1]['Suggested Installment Frequency'], 'Annually');
+    assert.strictEqual(plans[1]['Suggested Subscription Cost'], 199);
+    const missing = rows(sandbox.readSheet('Missing from Uscreen'));
+    assert.deepStrictEqual(missing.map(r => [r['Uscreen ID'], r.Reason]), [['110', 'Uscreen ID 110 not in the Uscreen export']]);
+    const active = rows(sandbox.readSheet('Active Mismatch')).map(r => [r.Email, r['Expected Active']]).sort();
+    assert.deepStrictEqual(active, [['bob@example.com', 'No'], ['cat@example.com', 'Yes']]);
+    const refunds = rows(sandbox.readSheet('Refunds & Disputes'));
+    assert.deepStrictEqual(refunds.map(r => [r.Email, r.Type, r['Payment IDs'], r['Net Paid']]).sort(), [
+      ['gus@example.com', 'refund', 'P1011', 19.99],
+      ['hal@example.com', 'chargeback', 'P1009', 0]
+    ]);
+    assert.strictEqual(rows(sandbox.readSheet('Uscreen Users')).length, 8);
+    assert.deepStrictEqual(rows(sandbox.readSheet('SF Update Results')).map(r => r.Result), Array(4).fill('SUCCESS'));
+
+    const metrics = rows(sandbox.readSheet('Metrics'));
+    assert.deepStrictEqual(metrics.map(r => r.Month), ['2024-03', '2024-04', '2024-05']);
+    assert.strictEqual(metrics[0]['Churn Rate'], '');
+    const may = metrics[2];
+    assert.strictEqual(may.Revenue, 253.98);
+    assert.strictEqual(may['Revenue: Annual'], 199);
+    assert.strictEqual(may.MRR, 71.56);
+    assert.strictEqual(may['Paying Subscribers'], 4);
+    assert.strictEqual(may['New Payers'], 3);
+    assert.strictEqual(may['Returning Payers'], 1);
+    // Hal's April charge was charged back, so only Ann and Gus were paying in April
+    assert.strictEqual(may.Churned, 1);
+    assert.strictEqual(may['Churn Rate'], 0.5);
+    assert.strictEqual(may['Coupon Uses'], 2);
+
+    const log = rows(sandbox.readSheet('Sync Log'));
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].Status, 'SUCCESS');
+    assert.strictEqual(log[0].Mode, 'apply');
+    assert.deepStrictEqual(['Plan Mismatch', 'Refunds & Disputes', 'Missing from Uscreen', 'Active Mismatch'].map(h => log[0][h]), [2, 2, 1, 2]);
+  });
+
+  test('dry run leaves Salesforce and Sheets alone and writes a CSV report', async () => {
+    const before = fs.readFileSync(sandbox.salesforcePath, 'utf-8');
+    const { code, output } = await sandbox.run(['--dry-run', '--apply'], { env: API });
+    assert.strictEqual(code, 0, output);
+
+    assert.strictEqual(fs.readFileSync(sandbox.salesforcePath, 'utf-8'), before);
+    // Only the run itself is logged
+    const state = JSON.parse(fs.readFileSync(sandbox.sheetsPath, 'utf-8'));
+    assert.deepStrictEqual(state.sheets.map(s => s.properties.title), ['Sync Log']);
+    assert.strictEqual(rows(sandbox.readSheet('Sync Log'))[0].Mode, 'dry-run');
+
+    const reportsDir = path.join(sandbox.dir, 'reports');
+    const [runDir] = fs.readdirSync(reportsDir);
+    const needsUpdate = fs.readFileSync(path.join(reportsDir, runDir, 'needs-update.csv'), 'utf-8');
+    assert.match(needsUpdate, /ann@example\.com/);
+    assert.match(needsUpdate, /cat@example\.com/);
+  });
+
+  test('an approved new user is created in Salesforce on the next --apply run', async () => {
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+
+    sandbox.editSheet('New Users (Review)', { Email: 'eve@example.com' }, 'Decision', 'Approve');
+    result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+
+    const records = sandbox.readSalesforce();
+    const contact = records.Contact.find(c => c.Email === 'eve@example.com');
+    assert.ok(contact, 'no Contact created for eve@example.com');
+    assert.strictEqual(contact.LastName, 'Evans');
+
+    const role = programRole(sandbox, '105');
+    assert.ok(role, 'no Program Role created for Uscreen user 105');
+    assert.strictEqual(role.Contact__c, contact.Id);
+    assert.strictEqual(role.Uscreen_Last_Payment_Date__c, '2024-05-04');
+    assert.strictEqual(role.Active__c, true);
+  });
+
+  test('a manual link to a record outside salesforce.where is fetched and written back', async () => {
+    const state = JSON.parse(fs.readFileSync(sandbox.salesforcePath, 'utf-8'));
+    state.records.Program_Roles__c.push({
+      Id: 'a0P000000000011AAA',
+      Name: 'PR-00011',
+      Contact__c: null,
+      Subscription__c: 'Monthly',
+      Active__c: true,
+      Uscreen_Member_ID__c: null,
+      Uscreen_Subscription_Status__c: null,
+      Uscreen_Last_Payment_Date__c: null
+    });
+    fs.writeFileSync(sandbox.salesforcePath, JSON.stringify(state));
+
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+
+    sandbox.editSheet('New Users (Review)', { Email: 'eve@example.com' }, 'Decision', 'a0P000000000011');
+    result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.doesNotMatch(result.output, /Manual link ignored/);
+
+    const role = sandbox.readSalesforce().Program_Roles__c.find(r => r.Id === 'a0P000000000011AAA');
+    assert.strictEqual(role.Uscreen_Member_ID__c, '105');
+    assert.strictEqual(role.Uscreen_Last_Payment_Date__c, '2024-05-04');
+    assert.strictEqual(sandbox.readSalesforce().Contact.filter(c => c.Email === 'eve@example.com').length, 0);
+  });
+
+  test('a manual link to a missing record is reported', async () => {
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+
+    sandbox.editSheet('New Users (Review)', { Email: 'eve@example.com' }, 'Decision', 'a0P000000000099AAA');
+    result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.match(result.output, /Manual link ignored: 105 → a0P000000000099AAA/);
+    assert.deepStrictEqual(rows(sandbox.readSheet('New Users (Review)')).map(r => r.Email), ['eve@example.com']);
+  });
+
+  test('a second --apply run has nothing left to update', async () => {
+    let result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(rows(sandbox.readSheet('Needs Update')).filter(r => r['Row Status'] === 'OPEN').length, 2);
+
+    result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.deepStrictEqual(rows(sandbox.readSheet('Needs Update')).filter(r => r['Row Status'] === 'OPEN'), []);
+    assert.strictEqual(rows(sandbox.readSheet('SF Update Results')).length, 0);
+  });
+
+  test('a status change found by a plain sync is still applied by the next --apply run', async () => {
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+
+    assert.strictEqual(programRole(sandbox, '102').Active__c, false);
+    assert.strictEqual(programRole(sandbox, '102').Uscreen_Subscription_Status__c, 'Cancelled');
+    assert.strictEqual(programRole(sandbox, '103').Active__c, true);
+
+    const cancelled = rows(sandbox.readSheet('Cancelled'));
+    assert.deepStrictEqual(cancelled.map(r => [r.Email, r['Since Last Run'], r['Row Status']]),
+      [['bob@example.com', 'still open', 'OPEN']]);
+  });
+
+  test('refunds already listed by the last run are marked as seen before', async () => {
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    const sinceLastRun = () => rows(sandbox.readSheet('Refunds & Disputes')).map(r => [r.Email, r['Since Last Run']]).sort();
+    assert.deepStrictEqual(sinceLastRun(), [['gus@example.com', 'seen before'], ['hal@example.com', 'seen before']]);
+
+    sandbox.server.files.invoices += '101,ann@example.com,Ann Archer,2024-05-02,-$19.99,Monthly,SPRING,P1002,refunded\n';
+    result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.deepStrictEqual(sinceLastRun(), [['ann@example.com', 'new'], ['gus@example.com', 'seen before'], ['hal@example.com', 'seen before']]);
+  });
+
+  test('a failed tab read stops the run instead of overwriting the tab', async () => {
+    let result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    const before = sandbox.readSheet('Needs Update');
+
+    sandbox.failSheetReads(['Needs Update']);
+    result = await sandbox.run([], { env: API });
+    assert.strictEqual(result.code, 1, result.output);
+    assert.match(result.output, /service is currently unavailable/);
+    assert.deepStrictEqual(sandbox.readSheet('Needs Update'), before);
+  });
+
+  test('step commands continue the same run', async () => {
+    for (const step of ['scrape', 'pull-sf', 'compare', 'publish']) {
+      const { code, output } = await sandbox.run([step], { env: API });
+      assert.strictEqual(code, 0, `${step}:\n${output}`);
+    }
+
+    const runsDir = path.join(sandbox.dir, 'runs');
+    const runIds = fs.readdirSync(runsDir);
+    assert.strictEqual(runIds.length, 1);
+    assert.deepStrictEqual(fs.readdirSync(path.join(runsDir, runIds[0])).sort(),
+      ['compare.json', 'publish.json', 'pull-sf.json', 'scrape.json']);
+    assert.strictEqual(rows(sandbox.readSheet('Needs Update')).length, 2);
+  });
+
+  test('of the step commands only publish, or a failed step, sends a notification', async (t) => {
+    const messages = [];
+    const webhook = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => { messages.push(JSON.parse(body).text); res.end('ok'); });
+    });
+    await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+    t.after(() => webhook.close());
+    const env = { ...API, NOTIFY_ON: 'always', NOTIFY_WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/hook` };
+
+    for (const step of ['scrape', 'pull-sf', 'compare', 'publish']) {
+      const { code, output } = await sandbox.run([step], { env });
+      assert.strictEqual(code, 0, `${step}:\n${output}`);
+    }
+    assert.strictEqual(messages.length, 1);
+    assert.match(messages[0], /^\*Uscreen sync finished \(publish\): 1 new users to review\*/);
+
+    const { code } = await sandbox.run(['scrape'], { env: { ...env, USCREEN_API_KEY: 'wrong' } });
+    assert.strictEqual(code, 1);
+    assert.strictEqual(messages.length, 2);
+    assert.match(messages[1], /^\*Uscreen sync FAILED \(scrape\): .*rejected the API key/);
+  });
+
+  test('apply refuses a comparison from an earlier day unless the run is named', async () => {
+    for (const step of ['scrape', 'pull-sf', 'compare']) {
+      const { code, output } = await sandbox.run([step], { env: API });
+      assert.strictEqual(code, 0, `${step}:\n${output}`);
+    }
+    const [runId] = fs.readdirSync(path.join(sandbox.dir, 'runs'));
+    const comparePath = path.join(sandbox.dir, 'runs', runId, 'compare.json');
+    const artifact = JSON.parse(fs.readFileSync(comparePath, 'utf-8'));
+    artifact.savedAt = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeFileSync(comparePath, JSON.stringify(artifact));
+
+    let result = await sandbox.run(['apply'], { env: API });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.output, new RegExp(`The latest run \\(${runId}\\) was compared on \\d{4}-\\d{2}-\\d{2}, not today`));
+    assert.strictEqual(programRole(sandbox, '101').Uscreen_Last_Payment_Date__c, '2024-04-01');
+
+    result = await sandbox.run(['apply', '--run', runId], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(programRole(sandbox, '101').Uscreen_Last_Payment_Date__c, '2024-05-01');
+  });
+
+  test('a rejected API key fails the run and is logged', async () => {
+    const { code, output } = await sandbox.run(['--apply'], { env: { ...API, USCREEN_API_KEY: 'wrong' } });
+    assert.strictEqual(code, 1);
+    assert.match(output, /rejected the API key/);
+
+    const log = rows(sandbox.readSheet('Sync Log'));
+    assert.strictEqual(log.length, 1);
+    assert.strictEqual(log[0].Status, 'FAILED');
+    assert.strictEqual(programRole(sandbox, '101').Uscreen_Last_Payment_Date__c, '2024-04-01');
+  });
+
+  test('Salesforce results spread over several pages are all read', async () => {
+    const state = JSON.parse(fs.readFileSync(sandbox.salesforcePath, 'utf-8'));
+    state.queryPageSize = 3;
+    fs.writeFileSync(sandbox.salesforcePath, JSON.stringify(state));
+    const expected = state.records.Program_Roles__c.filter(r => r.Uscreen_Member_ID__c !== null).length;
+
+    const { code, output } = await sandbox.run([], { env: API });
+    assert.strictEqual(code, 0, output);
+    assert.match(output, new RegExp(`Fetched 6/${expected} records`));
+    assert.match(output, new RegExp(`SF Records: ${expected} records`));
+    assert.strictEqual(rows(sandbox.readSheet('Salesforce Data')).length, expected);
+  });
+
+  test('the API source follows Link headers past a capped per_page and waits out a 429', async () => {
+    sandbox.server.api.maxPerPage = 3;
+    sandbox.server.api.rateLimited = 1;
+    sandbox.server.api.retryAfter = 1;
+
+    const { code, output } = await sandbox.run([], { env: API });
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /Uscreen API HTTP 429 - retrying in 1s \(attempt 1\/2\)/);
+    assert.match(output, /customers: page 3, 8 so far/);
+    assert.match(output, /payments: page 4, 12 so far/);
+    assert.doesNotMatch(output, /page 5/);
+    assert.strictEqual(rows(sandbox.readSheet('Uscreen Users')).length, 8);
+  });
+
+  test('without Link headers the API source pages until an empty page', async () => {
+    sandbox.server.api.maxPerPage = 3;
+    sandbox.server.api.linkHeaders = false;
+
+    const { code, output } = await sandbox.run([], { env: API });
+    assert.strictEqual(code, 0, output);
+    assert.match(output, /customers: page 4, 8 so far/);
+    assert.match(output, /payments: page 5, 12 so far/);
+    assert.strictEqual(rows(sandbox.readSheet('Uscreen Users')).length, 8);
+  });
+
+  test('the status mapping in sync.config.json is validated and applied', async () => {
+    const config = JSON.parse(fs.readFileSync(sandbox.configPath, 'utf-8'));
+    config.statuses = { 'past due': { sfStatus: 'Delinquent', actve: true } };
+    fs.writeFileSync(sandbox.configPath, JSON.stringify(config));
+    let result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 1);
+    assert.match(result.output, /\/statuses\/past due must have required property 'active'/);
+    assert.match(result.output, /\/statuses\/past due must NOT have additional properties: "actve"/);
+
+    config.statuses['past due'] = { sfStatus: 'Delinquent', active: true };
+    fs.writeFileSync(sandbox.configPath, JSON.stringify(config));
+    result = await sandbox.run(['--apply'], { env: API });
+    assert.strictEqual(result.code, 0, result.output);
+    assert.strictEqual(programRole(sandbox, '107').Uscreen_Subscription_Status__c, 'Delinquent');
+  });
+
+  test('a missing Salesforce field fails before Uscreen is touched', async () => {
+    const state = JSON.parse(fs.readFileSync(sandbox.salesforcePath, 'utf-8'));
+    const fields = state.schema.Program_Roles__c.fields;
+    fields.splice(fields.indexOf('Uscreen_Last_Payment_Date__c'), 1);
+    fs.writeFileSync(sandbox.salesforcePath, JSON.stringify(state));
+
+    const { code, output } = await sandbox.run([], { env: API });
+    assert.strictEqual(code, 1);
+    assert.match(output, /Program_Roles__c is missing field\(s\): Uscreen_Last_Payment_Date__c/);
+    assert.deepStrictEqual(sandbox.server.requests, []);
+  });
+
+  describe('browser scraper', () => {
+    let chrome;
+    before(async () => {
+      chrome = await canLaunchChrome();
+    });
+
+    test('logs in, exports and downloads from the mock admin site', async (t) => {
+      if (!chrome) return t.skip('Chrome is not available (npx puppeteer browsers install chrome)');
+
+      const { code, output } = await sandbox.run(['--apply']);
+      assert.strictEqual(code, 0, output);
+      assert.strictEqual(rows(sandbox.readSheet('Uscreen Users')).length, 8, 'picked up the stale People export');
+      assert.strictEqual(programRole(sandbox, '101').Uscreen_Last_Payment_Date__c, '2024-05-01');
+    });
+
+    test('a wrong password stops without retrying', async (t) => {
+      if (!chrome) return t.skip('Chrome is not available (npx puppeteer browsers install chrome)');
+
+      const { code, output } = await sandbox.run([], { env: { USCREEN_PASSWORD: 'wrong' } });
+      assert.strictEqual(code, 1);
+      assert.match(output, /Uscreen login rejected: Invalid Email or password/);
+      assert.match(output, /Login failed after 1 attempt/);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit tests for UscreenScraper.waitForExports - the Exported Files page and
+ * downloads are stubbed, so no browser is needed.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const UscreenScraper = require('../src/uscreen-scraper');
+
+// Each poll lists the links of the next entry in `polls` (the last one repeats)
+function scraper(polls, types) {
+  const s = new UscreenScraper({ retry: { attempts: 1, baseDelayMs: 0 }, paths: {}, selectors: {} });
+  let poll = 0;
+  s.listExportedFiles = async () => polls[Math.min(poll++, polls.length - 1)].map(href => ({ href, text: href }));
+  s.downloadExport = async (link) => ({ type: types[link.href] || null, filePath: `/downloads/${link.href}` });
+  s.delay = async () => {};
+  s.polls = () => poll;
+  return s;
+}
+
+describe('waitForExports', () => {
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+  });
+
+  test('two new exports of the same kind are not enough', async () => {
+    const types = { old: 'users', people: 'users', other: null, invoices: 'payments' };
+    const s = scraper([['old'], ['people', 'other', 'old'], ['invoices', 'people', 'other', 'old']], types);
+
+    const files = await s.waitForExports(new Set(['old']));
+    assert.deepStrictEqual(files, { users: '/downloads/people', payments: '/downloads/invoices' });
+    assert.strictEqual(s.polls(), 3);
+  });
+
+  test('the newest export of each kind wins', async () => {
+    const types = { people2: 'users', people1: 'users', invoices: 'payments' };
+    const files = await scraper([['people2', 'invoices', 'people1']], types).waitForExports(new Set());
+    assert.strictEqual(files.users, '/downloads/people2');
+  });
+
+  test('times out naming the export that never showed up', async (t) => {
+    t.mock.method(Date, 'now', (() => { let now = 0; return () => (now += 60 * 1000); })());
+    const s = scraper([['people', 'other']], { people: 'users' });
+    await assert.rejects(s.waitForExports(new Set()), /Timed out after 600s waiting for a new Uscreen payments export/);
+  });
+});